@@ -2,6 +2,7 @@
 import fetch from "node-fetch";
 
 const ENDPOINT = "http://localhost:8000/"; // adjust if different
+const API_KEY = process.env.API_KEY; // an ingest key, see POST /admin/tenants/:tenant/keys
 
 // Possible values for randomization
 const deviceIds = ["dev1", "dev2", "dev3"];
@@ -27,7 +28,7 @@ async function sendRequest(data) {
   try {
     await fetch(ENDPOINT, {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
+      headers: { "Content-Type": "application/json", "X-API-Key": API_KEY },
       body: JSON.stringify(data),
     });
   } catch (err) {
@@ -0,0 +1,239 @@
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+import { validate } from "./schema/validator.js";
+
+// Defaults, overridden by the config file, overridden in turn by environment variables
+const DEFAULTS = {
+  port: 8000,
+  dbFile: "./db.sqlite",
+  parquetDir: "./parquet",
+  cors: { origin: "http://localhost:1420" },
+  // Credential for /export and /admin; without one those routes refuse every request
+  internalApiToken: null,
+  analytics: {
+    partitions: 4,
+    // Long enough to rebuild the rollups (and their 30-day MAU) from offset 0
+    retentionDays: 30,
+  },
+  ingest: {
+    // Tokens per second and bucket size. Keys and devices pay one token per event,
+    // IPs one per request
+    rateLimits: {
+      key: { rate: 200, burst: 2000 },
+      device: { rate: 10, burst: 1000 },
+      ip: { rate: 20, burst: 100 },
+    },
+    backpressure: { maxPendingMessages: 5000, maxLag: 100_000, intervalMs: 5000 },
+  },
+  // Analytics producer batching, see klite's createProducer. maxPendingMessages is the
+  // hard bound behind ingest.backpressure: sends wait up to blockMs for room, then fail with 503
+  producer: {
+    lingerMs: 10,
+    maxBatchMessages: 1000,
+    maxBatchBytes: 1024 * 1024,
+    maxPendingMessages: 20_000,
+    blockMs: 1000,
+  },
+  compaction: { intervalMs: 10 * 60 * 1000 },
+  // /healthz and /readyz: a group loop is stalled after staleIntervals of its interval
+  // without a completed round, and /readyz fails while any group lags more than maxLag
+  health: { staleIntervals: 3, maxLag: 100_000, timeoutMs: 2000 },
+  // Worker consumer groups on the analytics topic; partitions default to all of them.
+  // Config-file groups merge into these two, which can be tuned but not removed
+  consumerGroups: {
+    default: {
+      // Replicas sharing the database split the partitions between them
+      membership: { sessionTimeout: "30s" },
+      sink: { type: "parquet" },
+      batchSize: 50,
+      interval: "5s",
+    },
+    // Keeps the daily rollups behind /analytics current; see db/rollups.js
+    rollups: {
+      membership: { sessionTimeout: "30s" },
+      sink: { type: "rollup" },
+      batchSize: 500,
+      interval: "5s",
+    },
+  },
+  cleaner: { interval: "1m" },
+};
+
+const positiveInteger = { type: "integer", minimum: 1 };
+const rateLimit = {
+  type: "object",
+  required: ["rate", "burst"],
+  unknownFields: "reject",
+  properties: { rate: { type: "number", minimum: 0.001 }, burst: positiveInteger },
+};
+
+// Unknown fields are rejected so a misspelt setting fails at startup instead of being ignored
+const SCHEMA = {
+  type: "object",
+  unknownFields: "reject",
+  properties: {
+    port: { type: "integer", minimum: 1, maximum: 65535 },
+    dbFile: { type: "string", minLength: 1 },
+    // Interpolated into DuckDB globs, so no quotes
+    parquetDir: { type: "string", minLength: 1, pattern: "^[^'\"]+$" },
+    cors: {
+      type: "object",
+      unknownFields: "reject",
+      properties: { origin: { type: ["string", "array", "boolean"] } },
+    },
+    internalApiToken: { type: "string", minLength: 1 },
+    analytics: {
+      type: "object",
+      unknownFields: "reject",
+      properties: { partitions: positiveInteger, retentionDays: positiveInteger },
+    },
+    ingest: {
+      type: "object",
+      unknownFields: "reject",
+      properties: {
+        rateLimits: {
+          type: "object",
+          unknownFields: "reject",
+          properties: { key: rateLimit, device: rateLimit, ip: rateLimit },
+        },
+        backpressure: {
+          type: "object",
+          unknownFields: "reject",
+          properties: {
+            maxPendingMessages: positiveInteger,
+            maxLag: positiveInteger,
+            intervalMs: positiveInteger,
+          },
+        },
+      },
+    },
+    producer: {
+      type: "object",
+      unknownFields: "reject",
+      properties: {
+        lingerMs: { type: "integer", minimum: 0 },
+        maxBatchMessages: positiveInteger,
+        maxBatchBytes: positiveInteger,
+        maxPendingMessages: positiveInteger,
+        blockMs: { type: "integer", minimum: 0 },
+      },
+    },
+    compaction: {
+      type: "object",
+      unknownFields: "reject",
+      properties: { intervalMs: positiveInteger },
+    },
+    health: {
+      type: "object",
+      unknownFields: "reject",
+      properties: {
+        staleIntervals: positiveInteger,
+        maxLag: positiveInteger,
+        timeoutMs: positiveInteger,
+      },
+    },
+    // The worker checks the group settings themselves when it starts
+    consumerGroups: {
+      type: "object",
+      unknownFields: "keep",
+      values: { type: "object", unknownFields: "keep" },
+    },
+    cleaner: { type: "object", unknownFields: "keep" },
+  },
+};
+
+function rateLimitFromEnv(value) {
+  const [rate, burst = rate] = value.split("/").map(Number);
+  return { rate, burst };
+}
+
+// Environment variable -> config path and parser
+const ENV_VARS = {
+  PORT: ["port", Number],
+  DB_FILE: ["dbFile", String],
+  PARQUET_DIR: ["parquetDir", String],
+  CORS_ORIGIN: ["cors.origin", (value) => (value.includes(",") ? value.split(",") : value)],
+  INTERNAL_API_TOKEN: ["internalApiToken", String],
+  ANALYTICS_PARTITIONS: ["analytics.partitions", Number],
+  ANALYTICS_RETENTION_DAYS: ["analytics.retentionDays", Number],
+  // "rate/burst", e.g. RATE_LIMIT_PER_KEY=200/2000
+  RATE_LIMIT_PER_KEY: ["ingest.rateLimits.key", rateLimitFromEnv],
+  RATE_LIMIT_PER_DEVICE: ["ingest.rateLimits.device", rateLimitFromEnv],
+  RATE_LIMIT_PER_IP: ["ingest.rateLimits.ip", rateLimitFromEnv],
+  BACKPRESSURE_MAX_PENDING: ["ingest.backpressure.maxPendingMessages", Number],
+  BACKPRESSURE_MAX_LAG: ["ingest.backpressure.maxLag", Number],
+  PRODUCER_LINGER_MS: ["producer.lingerMs", Number],
+  PRODUCER_MAX_PENDING: ["producer.maxPendingMessages", Number],
+  COMPACTION_INTERVAL_MS: ["compaction.intervalMs", Number],
+  HEALTH_MAX_LAG: ["health.maxLag", Number],
+};
+
+function envConfig(env) {
+  const result = {};
+  for (const [name, [key, parse]] of Object.entries(ENV_VARS)) {
+    if (env[name] === undefined || env[name] === "") continue;
+
+    const keys = key.split(".");
+    let target = result;
+    for (const part of keys.slice(0, -1)) target = target[part] ??= {};
+    target[keys[keys.length - 1]] = parse(env[name]);
+  }
+  return result;
+}
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+// Objects merge key by key; anything else in `override` replaces the base value
+function merge(base, override) {
+  if (!isPlainObject(base) || !isPlainObject(override)) return override;
+
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    result[key] = key in base ? merge(base[key], value) : value;
+  }
+  return result;
+}
+
+const DEFAULT_FILES = ["config.yaml", "config.yml", "config.json"];
+
+function readConfigFile(file) {
+  const text = fs.readFileSync(file, "utf8");
+  return /\.ya?ml$/.test(file) ? (YAML.parse(text) ?? {}) : JSON.parse(text);
+}
+
+/**
+ * Build the configuration from DEFAULTS, the file named by CONFIG_FILE (or the
+ * first of config.yaml, config.yml, config.json in the working directory) and
+ * environment variables, in increasing precedence.
+ * Throws "Invalid config ..." listing every problem found.
+ */
+export function loadConfig(env = process.env) {
+  const file = env.CONFIG_FILE || DEFAULT_FILES.find((name) => fs.existsSync(name));
+
+  let fileConfig = {};
+  if (file) {
+    try {
+      fileConfig = readConfigFile(file);
+    } catch (err) {
+      throw new Error(`Invalid config file ${path.resolve(file)}: ${err.message}`);
+    }
+    if (!isPlainObject(fileConfig)) {
+      throw new Error(`Invalid config file ${path.resolve(file)}: expected an object`);
+    }
+  }
+
+  const { valid, value, errors } = validate(
+    SCHEMA,
+    merge(merge(DEFAULTS, fileConfig), envConfig(env))
+  );
+  if (!valid) {
+    const problems = errors.map((error) => `${error.field} ${error.message}`).join("; ");
+    throw new Error(`Invalid config${file ? ` (${file})` : ""}: ${problems}`);
+  }
+  return { ...value, file: file ?? null };
+}
+
+export const config = loadConfig();
@@ -1,9 +1,300 @@
 import fs from "fs";
-import duckdb from "duckdb";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { query } from "./duckdb.js";
+import { PARQUET_DIR, tenantDir } from "./parquet.js";
+import { DEFAULT_TENANT, validateTenantId } from "./tenants.js";
 
-const PARQUET_DIR = "./parquet";
+// Each tenant only reads its own directory. event_date comes from the directory name,
+// so filtering on it skips whole days of files. Files written before custom events
+// have no `event` column; union_by_name reads it as NULL
+function sourceFor(filters) {
+  const tenant = filters.tenant ?? DEFAULT_TENANT;
+  validateTenantId(tenant);
+  const glob = `${tenantDir(tenant)}/event_date=*/*.parquet`;
+  return `read_parquet('${glob}', hive_partitioning = true, union_by_name = true)`;
+}
+const isPing = `COALESCE(event, 'device_ping') = 'device_ping'`;
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const DIMENSIONS = ["platform", "appVersion", "architecture"];
+
+/**
+ * Check report filters: `tenant` picks whose events are read (default tenant if
+ * omitted), `from` / `to` are inclusive YYYY-MM-DD event dates, platform,
+ * appVersion and architecture match exactly.
+ * Throws "Invalid ..." errors for malformed values.
+ */
+export function parseFilters(params = {}) {
+  const filters = { tenant: params.tenant ?? DEFAULT_TENANT };
+  validateTenantId(filters.tenant);
+
+  for (const name of ["from", "to"]) {
+    if (params[name] === undefined) continue;
+    if (!DATE.test(params[name]) || Number.isNaN(Date.parse(params[name]))) {
+      throw new Error(`Invalid ${name} date: expected YYYY-MM-DD`);
+    }
+    filters[name] = params[name];
+  }
+  if (filters.from && filters.to && filters.from > filters.to) {
+    throw new Error("Invalid date range: from is after to");
+  }
+
+  for (const name of DIMENSIONS) {
+    if (params[name] === undefined) continue;
+    if (typeof params[name] !== "string" || params[name] === "") {
+      throw new Error(`Invalid ${name} filter`);
+    }
+    filters[name] = params[name];
+  }
+
+  return filters;
+}
+
+function whereClause(filters, conditions = []) {
+  const clauses = [...conditions];
+  const params = [];
+
+  if (filters.from) {
+    clauses.push("event_date >= CAST(? AS DATE)");
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    clauses.push("event_date <= CAST(? AS DATE)");
+    params.push(filters.to);
+  }
+  for (const name of DIMENSIONS) {
+    if (filters[name] === undefined) continue;
+    clauses.push(`${name} = ?`);
+    params.push(filters[name]);
+  }
+
+  return { sql: clauses.length > 0 ? `WHERE ${clauses.join(" AND ")}` : "", params };
+}
+
+// Nothing exported yet means empty reports rather than DuckDB's "No files found" error
+async function run(sql, params) {
+  try {
+    return await query(sql, params);
+  } catch (err) {
+    if (String(err.message).includes("No files found")) return [];
+    throw err;
+  }
+}
+
+// Version and platform breakdowns count device pings only
+async function countBy(column, filters, conditions = []) {
+  const where = whereClause(filters, [isPing, ...conditions]);
+  return run(
+    `SELECT ${column}, COUNT(*) AS count
+     FROM ${sourceFor(filters)}
+     ${where.sql}
+     GROUP BY ${column}
+     ORDER BY count DESC`,
+    where.params
+  );
+}
+
+export function versionUsage(filters = {}) {
+  return countBy("appVersion", filters);
+}
+
+export function platformUsage(filters = {}) {
+  return countBy("platform", filters);
+}
+
+// Version usage for the week containing current_date and the one before it
+export async function weeklyVersionUsage(filters = {}) {
+  const [currentWeek, previousWeek] = await Promise.all([
+    countBy("appVersion", filters, [
+      "DATE_TRUNC('week', event_date) = DATE_TRUNC('week', current_date)",
+    ]),
+    countBy("appVersion", filters, [
+      "DATE_TRUNC('week', event_date) = DATE_TRUNC('week', current_date - INTERVAL '7 days')",
+    ]),
+  ]);
+  return { currentWeek, previousWeek };
+}
+
+/**
+ * Distinct devices sending any event on the `to` date (default today) and in
+ * the 30 days ending on it. `from` does not apply.
+ */
+export async function activeUsers(filters = {}) {
+  const date = filters.to || new Date().toISOString().slice(0, 10);
+  const where = whereClause(
+    { ...filters, from: undefined, to: undefined },
+    [
+      "event_date > CAST(? AS DATE) - INTERVAL '30 days'",
+      "event_date <= CAST(? AS DATE)",
+    ]
+  );
+
+  const rows = await run(
+    `SELECT
+       COUNT(DISTINCT deviceId) FILTER (WHERE event_date = CAST(? AS DATE)) AS dau,
+       COUNT(DISTINCT deviceId) AS mau
+     FROM ${sourceFor(filters)}
+     ${where.sql}`,
+    [date, date, date, ...where.params]
+  );
+
+  return { date, dau: rows[0]?.dau ?? 0, mau: rows[0]?.mau ?? 0 };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function shiftDate(date, days) {
+  return new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function ratio(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 10000) / 10000 : 0;
+}
+
+/**
+ * Weekly retention cohorts: devices grouped by the week they were first seen,
+ * with how many came back in each following week. First-seen weeks look at all
+ * history; `from` / `to` only pick which cohorts are reported.
+ * Returns [{ cohort, size, weeks: [{ week, devices, retention }] }]
+ */
+export async function retentionCohorts(filters = {}, { weeks = 8 } = {}) {
+  const activity = whereClause({ ...filters, from: undefined, to: undefined });
+  const cohorts = [];
+  const cohortParams = [];
+  if (filters.from) {
+    cohorts.push("cohort >= DATE_TRUNC('week', CAST(? AS DATE))");
+    cohortParams.push(filters.from);
+  }
+  if (filters.to) {
+    cohorts.push("cohort <= CAST(? AS DATE)");
+    cohortParams.push(filters.to);
+  }
 
-async function runAnalytics() {
+  const rows = await run(
+    `WITH activity AS (
+       SELECT DISTINCT deviceId, CAST(DATE_TRUNC('week', event_date) AS DATE) AS week
+       FROM ${sourceFor(filters)}
+       ${activity.sql}
+     ),
+     first_seen AS (
+       SELECT deviceId, MIN(week) AS cohort FROM activity GROUP BY deviceId
+     )
+     SELECT CAST(cohort AS VARCHAR) AS cohort,
+            DATE_DIFF('week', cohort, week) AS week,
+            COUNT(*) AS devices
+     FROM activity JOIN first_seen USING (deviceId)
+     WHERE DATE_DIFF('week', cohort, week) <= ?
+       ${cohorts.map((clause) => `AND ${clause}`).join(" ")}
+     GROUP BY ALL
+     ORDER BY cohort, week`,
+    [...activity.params, weeks, ...cohortParams]
+  );
+
+  const byCohort = new Map();
+  for (const row of rows) {
+    if (!byCohort.has(row.cohort)) {
+      byCohort.set(row.cohort, { cohort: row.cohort, size: 0, weeks: [] });
+    }
+    const cohort = byCohort.get(row.cohort);
+    if (row.week === 0) cohort.size = row.devices;
+    cohort.weeks.push({
+      week: row.week,
+      devices: row.devices,
+      retention: ratio(row.devices, cohort.size),
+    });
+  }
+  return [...byCohort.values()];
+}
+
+/**
+ * Daily active, weekly active (7 days ending that day) and monthly active
+ * (30 days) devices for each day from `from` to `to`, default the last 30 days,
+ * with stickiness = DAU / MAU.
+ * Returns [{ date, dau, wau, mau, stickiness }]
+ */
+export async function activityOverTime(filters = {}) {
+  const to = filters.to || new Date().toISOString().slice(0, 10);
+  const from = filters.from || shiftDate(to, -29);
+  const activity = whereClause({ ...filters, from: shiftDate(from, -29), to });
+
+  const rows = await run(
+    `WITH activity AS (
+       SELECT DISTINCT deviceId, event_date FROM ${sourceFor(filters)} ${activity.sql}
+     ),
+     days AS (
+       SELECT CAST(range AS DATE) AS day
+       FROM range(CAST(? AS DATE), CAST(? AS DATE) + INTERVAL 1 DAY, INTERVAL 1 DAY)
+     )
+     SELECT CAST(day AS VARCHAR) AS date,
+            COUNT(DISTINCT deviceId) FILTER (WHERE event_date = day) AS dau,
+            COUNT(DISTINCT deviceId) FILTER (WHERE event_date > day - INTERVAL 7 DAY) AS wau,
+            COUNT(DISTINCT deviceId) AS mau
+     FROM days
+     LEFT JOIN activity ON event_date > day - INTERVAL 30 DAY AND event_date <= day
+     GROUP BY day
+     ORDER BY day`,
+    [...activity.params, from, to]
+  );
+
+  return rows.map((row) => ({ ...row, stickiness: ratio(row.dau, row.mau) }));
+}
+
+/**
+ * Share of active devices on each appVersion per day, counting a device once a
+ * day under the last version it reported. `released` is the first day a version
+ * was seen in all history; an appVersion filter narrows the versions reported,
+ * not the active devices they are a share of.
+ * Returns [{ appVersion, released, days: [{ date, daysSinceRelease, devices, active, share }] }]
+ */
+export async function versionAdoption(filters = {}) {
+  const daily = whereClause({ ...filters, appVersion: undefined }, ["appVersion IS NOT NULL"]);
+  const releases = whereClause(
+    { ...filters, from: undefined, to: undefined, appVersion: undefined },
+    ["appVersion IS NOT NULL"]
+  );
+  const version = filters.appVersion ? "WHERE appVersion = ?" : "";
+
+  const rows = await run(
+    `WITH daily AS (
+       SELECT event_date, deviceId, arg_max(appVersion, timestamp) AS appVersion
+       FROM ${sourceFor(filters)}
+       ${daily.sql}
+       GROUP BY event_date, deviceId
+     ),
+     totals AS (
+       SELECT event_date, COUNT(*) AS active FROM daily GROUP BY event_date
+     ),
+     releases AS (
+       SELECT appVersion, MIN(event_date) AS released
+       FROM ${sourceFor(filters)}
+       ${releases.sql}
+       GROUP BY appVersion
+     )
+     SELECT appVersion,
+            CAST(released AS VARCHAR) AS released,
+            CAST(event_date AS VARCHAR) AS date,
+            DATE_DIFF('day', released, event_date) AS daysSinceRelease,
+            COUNT(*) AS devices,
+            ANY_VALUE(active) AS active
+     FROM daily JOIN totals USING (event_date) JOIN releases USING (appVersion)
+     ${version}
+     GROUP BY appVersion, released, event_date
+     ORDER BY released, appVersion, event_date`,
+    [...daily.params, ...releases.params, ...(filters.appVersion ? [filters.appVersion] : [])]
+  );
+
+  const byVersion = new Map();
+  for (const { appVersion, released, ...day } of rows) {
+    if (!byVersion.has(appVersion)) {
+      byVersion.set(appVersion, { appVersion, released, days: [] });
+    }
+    byVersion.get(appVersion).days.push({ ...day, share: ratio(day.devices, day.active) });
+  }
+  return [...byVersion.values()];
+}
+
+async function runAnalytics(filters) {
   if (!fs.existsSync(PARQUET_DIR)) {
     console.log(
       "Parquet folder does not exist yet. Run the export to generate data."
@@ -11,93 +302,142 @@ async function runAnalytics() {
     return;
   }
 
-  const files = fs
-    .readdirSync(PARQUET_DIR)
-    .filter((f) => f.endsWith(".parquet"));
+  const dir = tenantDir(filters.tenant);
+  const files = fs.existsSync(dir)
+    ? fs
+        .readdirSync(dir, { recursive: true })
+        .filter((f) => f.startsWith("event_date=") && f.endsWith(".parquet"))
+    : [];
   if (files.length === 0) {
-    console.log("No parquet files found in the parquet folder.");
+    console.log(`No parquet files found for tenant ${filters.tenant}.`);
+    const legacy = fs.readdirSync(PARQUET_DIR).some((f) => f.endsWith(".parquet"));
+    if (legacy) {
+      console.log("Found files from an older layout; run `node db/migrateParquet.js` first.");
+    }
     return;
   }
-  const dbConn = new duckdb.Database(":memory:");
-  const conn = dbConn.connect();
 
-  const parquetGlob = `${PARQUET_DIR}/*.parquet`;
+  console.log(`\n--- Analytics Report (${filters.tenant}) ---`);
 
-  console.log("\n--- Analytics Report ---");
+  console.log("\nApp Version Usage:");
+  console.table(await versionUsage(filters));
 
-  const versionQuery = `
-    SELECT appVersion, COUNT(*) AS count
-    FROM read_parquet('${parquetGlob}')
-    GROUP BY appVersion
-    ORDER BY count DESC;
-  `;
-  conn.all(versionQuery, (err, rows) => {
-    if (err) throw err;
-    console.log("\nApp Version Usage:");
-    console.table(rows);
-  });
+  const { currentWeek, previousWeek } = await weeklyVersionUsage(filters);
 
-  const presentWeekQuery = `
-    SELECT appVersion, COUNT(*) AS count
-    FROM read_parquet('${parquetGlob}')
-    WHERE DATE_TRUNC('week', CAST(timestamp AS DATE)) = DATE_TRUNC('week', current_date)
-    GROUP BY appVersion
-    ORDER BY count DESC;
-  `;
-  conn.all(presentWeekQuery, (err, rows) => {
-    if (err) throw err;
-    console.log("\nApp Version Usage (Present Week):");
-    if (rows.length > 0) {
-      console.table(rows);
-    } else {
-      console.log("No usage data for the present week.");
-    }
-  });
+  console.log("\nApp Version Usage (Present Week):");
+  if (currentWeek.length > 0) {
+    console.table(currentWeek);
+  } else {
+    console.log("No usage data for the present week.");
+  }
 
-  const pastWeekQuery = `
-    SELECT appVersion, COUNT(*) AS count
-    FROM read_parquet('${parquetGlob}')
-    WHERE DATE_TRUNC('week', CAST(timestamp AS DATE)) = DATE_TRUNC('week', current_date - INTERVAL '7 days')
-    GROUP BY appVersion
-    ORDER BY count DESC;
-  `;
-  conn.all(pastWeekQuery, (err, rows) => {
-    if (err) throw err;
-    console.log("\nApp Version Usage (Past Week):");
-    if (rows.length > 0) {
-      console.table(rows);
-    } else {
-      console.log("No usage data for the past week.");
-    }
-  });
+  console.log("\nApp Version Usage (Past Week):");
+  if (previousWeek.length > 0) {
+    console.table(previousWeek);
+  } else {
+    console.log("No usage data for the past week.");
+  }
 
-  const osQuery = `
-    SELECT platform, COUNT(*) as count
-    FROM read_parquet('${parquetGlob}')
-    GROUP BY platform
-    ORDER BY count DESC;
-  `;
-  conn.all(osQuery, (err, rows) => {
-    if (err) throw err;
-    console.log("\nOperating System Usage:");
-    console.table(rows);
-  });
+  console.log("\nOperating System Usage:");
+  console.table(await platformUsage(filters));
+
+  const customEvents = await query(
+    `SELECT event, COUNT(*) AS count, COUNT(DISTINCT deviceId) AS devices
+     FROM ${sourceFor(filters)}
+     WHERE NOT ${isPing}
+     GROUP BY event
+     ORDER BY count DESC`
+  );
+  console.log("\nCustom Events:");
+  if (customEvents.length > 0) {
+    console.table(customEvents);
+  } else {
+    console.log("No custom events recorded yet.");
+  }
+
+  const { dau, mau } = await activeUsers(filters);
+  console.log("\nUser Activity:");
+  console.table([{ dau, mau }]);
+}
+
+function percent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+const COMMANDS = {
+  report: (filters) => runAnalytics(filters),
+  async cohorts(filters, { weeks, json }) {
+    const cohorts = await retentionCohorts(filters, { weeks });
+    if (json) return console.log(JSON.stringify(cohorts, null, 2));
 
-  const activityQuery = `
-    WITH UserActivity AS (
-      SELECT
-        COUNT(DISTINCT deviceId) FILTER (WHERE CAST(timestamp AS DATE) = current_date) AS dau,
-        COUNT(DISTINCT deviceId) FILTER (WHERE CAST(timestamp AS DATE) >= current_date - INTERVAL '30 days') AS mau
-      FROM read_parquet('${parquetGlob}')
-    )
-    SELECT * FROM UserActivity;
-  `;
-  conn.all(activityQuery, (err, rows) => {
-    if (err) throw err;
-    console.log("\nUser Activity:");
-    console.table(rows);
-    conn.close();
+    console.log("\nWeekly Retention Cohorts:");
+    console.table(
+      cohorts.map(({ cohort, size, weeks }) => ({
+        cohort,
+        size,
+        ...Object.fromEntries(weeks.map(({ week, retention }) => [`w${week}`, percent(retention)])),
+      }))
+    );
+  },
+  async activity(filters, { json }) {
+    const days = await activityOverTime(filters);
+    if (json) return console.log(JSON.stringify(days, null, 2));
+
+    console.log("\nDAU / WAU / MAU and Stickiness:");
+    console.table(days.map((day) => ({ ...day, stickiness: percent(day.stickiness) })));
+  },
+  async adoption(filters, { json }) {
+    const versions = await versionAdoption(filters);
+    if (json) return console.log(JSON.stringify(versions, null, 2));
+
+    console.log("\nVersion Adoption:");
+    console.table(
+      versions.flatMap(({ appVersion, days }) =>
+        days.map(({ date, daysSinceRelease, devices, share }) => ({
+          appVersion,
+          date,
+          daysSinceRelease,
+          devices,
+          share: percent(share),
+        }))
+      )
+    );
+  },
+};
+
+/**
+ * node db/analytics.js [report|cohorts|activity|adoption] [--tenant id] [--from YYYY-MM-DD]
+ *   [--to YYYY-MM-DD] [--platform x] [--appVersion x] [--architecture x]
+ *   [--weeks n] [--json]
+ */
+async function main(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      tenant: { type: "string" },
+      from: { type: "string" },
+      to: { type: "string" },
+      platform: { type: "string" },
+      appVersion: { type: "string" },
+      architecture: { type: "string" },
+      weeks: { type: "string", default: "8" },
+      json: { type: "boolean", default: false },
+    },
   });
+
+  const [command = "report"] = positionals;
+  if (!COMMANDS[command]) {
+    throw new Error(`Unknown command ${command}, expected one of ${Object.keys(COMMANDS).join(", ")}`);
+  }
+
+  const { weeks, json, ...params } = values;
+  await COMMANDS[command](parseFilters(params), { weeks: Number(weeks), json });
 }
 
-runAnalytics().catch(console.error);
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.error(err.message || err);
+    process.exitCode = 1;
+  });
+}
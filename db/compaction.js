@@ -0,0 +1,241 @@
+import fs from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
+import { query, sqlString } from "./duckdb.js";
+import { PARQUET_DIR } from "./parquet.js";
+
+// One JSON line per step of each run; the latest line for a run id is its state
+const MANIFEST_FILE = `${PARQUET_DIR}/_compaction_manifest.jsonl`;
+
+const DEFAULTS = {
+  smallFileBytes: 8 * 1024 * 1024,
+  targetFileBytes: 128 * 1024 * 1024,
+  minFiles: 2,
+};
+
+function fsyncFile(file) {
+  const fd = fs.openSync(file, "r");
+  try {
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Whether the manifest ends mid-line, as it does after a crash during an append
+function endsMidLine() {
+  const { size } = fs.existsSync(MANIFEST_FILE) ? fs.statSync(MANIFEST_FILE) : { size: 0 };
+  if (size === 0) return false;
+
+  const fd = fs.openSync(MANIFEST_FILE, "r");
+  try {
+    const last = Buffer.alloc(1);
+    fs.readSync(fd, last, 0, 1, size - 1);
+    return last.toString() !== "\n";
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function appendManifest(entry) {
+  const line = `${JSON.stringify({ ...entry, at: new Date().toISOString() })}\n`;
+  const fd = fs.openSync(MANIFEST_FILE, "a");
+  try {
+    fs.writeSync(fd, endsMidLine() ? `\n${line}` : line);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Compaction runs from the manifest, newest state per run id.
+ * A line cut short by a crash is ignored.
+ */
+export function readManifest() {
+  if (!fs.existsSync(MANIFEST_FILE)) return [];
+
+  const runs = new Map();
+  for (const line of fs.readFileSync(MANIFEST_FILE, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (err) {
+      continue;
+    }
+    runs.set(entry.id, { ...runs.get(entry.id), ...entry });
+  }
+  return [...runs.values()];
+}
+
+/**
+ * Finish or roll back runs interrupted by a crash. Renaming the merged file into
+ * place is the commit point: if it happened, the inputs still lying around are
+ * deleted; otherwise the temporary output is, leaving the inputs untouched.
+ * Call it at startup, before anything queries PARQUET_DIR: until then a
+ * partition can hold both a merged file and its inputs, counting rows twice.
+ */
+export function recoverCompaction() {
+  if (!fs.existsSync(PARQUET_DIR)) return;
+
+  for (const run of readManifest()) {
+    if (run.status === "done" || run.status === "aborted") continue;
+
+    if (fs.existsSync(run.output)) {
+      for (const input of run.inputs) fs.rmSync(input, { force: true });
+      appendManifest({ id: run.id, status: "done", recovered: true });
+    } else {
+      fs.rmSync(run.tmp, { force: true });
+      appendManifest({ id: run.id, status: "aborted", recovered: true });
+    }
+    console.warn(`Recovered interrupted compaction ${run.id} in ${run.dir}`);
+  }
+}
+
+function smallFiles(dir, smallFileBytes) {
+  return fs
+    .readdirSync(dir)
+    .filter((name) => name.endsWith(".parquet"))
+    .map((name) => {
+      const file = path.join(dir, name);
+      return { file, size: fs.statSync(file).size };
+    })
+    .filter(({ size }) => size < smallFileBytes)
+    .sort((a, b) => a.file.localeCompare(b.file));
+}
+
+// Group files, in name (i.e. write) order, into runs of at most targetFileBytes
+function planBins(files, { targetFileBytes, minFiles }) {
+  const bins = [];
+  let current = [];
+  let size = 0;
+
+  for (const file of files) {
+    if (current.length > 0 && size + file.size > targetFileBytes) {
+      bins.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(file.file);
+    size += file.size;
+  }
+  bins.push(current);
+
+  return bins.filter((bin) => bin.length >= minFiles);
+}
+
+async function countRows(files) {
+  const list = files.map(sqlString).join(", ");
+  const rows = await query(
+    `SELECT COUNT(*) AS count FROM read_parquet([${list}], hive_partitioning = false)`
+  );
+  return rows[0].count;
+}
+
+async function compactFiles(dir, inputs) {
+  const id = `${Date.now()}-${randomUUID().slice(0, 8)}`;
+  const output = path.join(dir, `compacted-${id}.parquet`);
+  const tmp = path.join(dir, `.compacted-${id}.parquet.tmp`);
+
+  appendManifest({ id, status: "started", dir, inputs, output, tmp });
+
+  try {
+    // tenant and event_date live in the directory names, so they are not columns of the merged file either
+    const list = inputs.map(sqlString).join(", ");
+    await query(
+      `COPY (
+        SELECT * FROM read_parquet([${list}], hive_partitioning = false, union_by_name = true)
+        ORDER BY timestamp
+      ) TO ${sqlString(tmp)} (FORMAT parquet, COMPRESSION snappy)`
+    );
+
+    const inputRows = await countRows(inputs);
+    const outputRows = await countRows([tmp]);
+    if (inputRows !== outputRows) {
+      throw new Error(`Merged file has ${outputRows} rows, inputs have ${inputRows}`);
+    }
+    fsyncFile(tmp);
+  } catch (err) {
+    fs.rmSync(tmp, { force: true });
+    appendManifest({ id, status: "aborted", error: String(err.message || err) });
+    throw err;
+  }
+
+  fs.renameSync(tmp, output);
+  appendManifest({ id, status: "committed" });
+
+  for (const input of inputs) fs.rmSync(input, { force: true });
+  appendManifest({ id, status: "done" });
+
+  return { id, dir, inputs, output };
+}
+
+function subdirs(dir, prefix) {
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && entry.name.startsWith(prefix))
+    .map((entry) => path.join(dir, entry.name));
+}
+
+/**
+ * Merge small parquet files in each tenant's event_date partitions (or in `dirs`) into
+ * files of up to targetFileBytes. Readers may briefly see both a merged file and
+ * its inputs between the rename and the deletes, but a crash never loses rows or
+ * leaves both in place once the next run has recovered it.
+ * Returns the runs that completed: [{ id, dir, inputs, output }]
+ */
+export async function compactParquet(options = {}) {
+  const { dirs, ...limits } = options;
+  const settings = { ...DEFAULTS, ...limits };
+
+  if (!fs.existsSync(PARQUET_DIR)) return [];
+  recoverCompaction();
+
+  const partitionDirs =
+    dirs ||
+    subdirs(PARQUET_DIR, "tenant=").flatMap((tenantDir) => subdirs(tenantDir, "event_date="));
+
+  const completed = [];
+  for (const dir of partitionDirs) {
+    for (const inputs of planBins(smallFiles(dir, settings.smallFileBytes), settings)) {
+      completed.push(await compactFiles(dir, inputs));
+    }
+  }
+  return completed;
+}
+
+/**
+ * Run compactParquet every intervalMs until stopped. stop() waits for a run in
+ * progress, which is safe to interrupt anyway.
+ */
+export function startCompactor({ intervalMs = 10 * 60 * 1000, ...options } = {}) {
+  let timer;
+  let stopped = false;
+  let running = Promise.resolve();
+
+  async function tick() {
+    try {
+      for (const run of await compactParquet(options)) {
+        console.log(`Compacted ${run.inputs.length} files in ${run.dir} into ${run.output}`);
+      }
+    } catch (err) {
+      console.error("Compaction error:", err);
+    }
+    if (!stopped) timer = setTimeout(schedule, intervalMs);
+  }
+
+  function schedule() {
+    running = tick();
+  }
+
+  timer = setTimeout(schedule, intervalMs);
+
+  return {
+    async stop() {
+      stopped = true;
+      clearTimeout(timer);
+      await running;
+    },
+  };
+}
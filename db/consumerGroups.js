@@ -0,0 +1,334 @@
+import { config } from "../config.js";
+import { validate } from "../schema/validator.js";
+import { admin, db } from "./db.js";
+
+// Stored groups are webhook subscriptions. The parquet and rollup sinks stay in the
+// config file: a second group writing either would duplicate its data
+const SINK_TYPES = ["http"];
+
+const definitionSchema = {
+  type: "object",
+  unknownFields: "reject",
+  required: ["topic", "sink"],
+  properties: {
+    // klite checks the name, dots included, when checkDefinition looks the topic up
+    topic: { type: "string" },
+    // Omitted: every partition, split between replicas
+    partitions: { type: ["array", "null"] },
+    sink: {
+      type: "object",
+      unknownFields: "reject",
+      required: ["type"],
+      properties: {
+        type: { type: "string", enum: SINK_TYPES },
+        endpoint: { type: "string", pattern: "^https?://", maxLength: 2048 },
+        // Sent with every delivery, e.g. the internal credential for this server's /export
+        headers: {
+          type: "object",
+          unknownFields: "keep",
+          values: { type: "string", maxLength: 4096 },
+          maxProperties: 20,
+        },
+      },
+    },
+    batchSize: { type: "integer", minimum: 1, maximum: 1000, default: 50 },
+    interval: { type: "string", pattern: "^\\d+(ms|s|m)$", default: "5s" },
+  },
+};
+
+const GROUP_NAME = /^[A-Za-z0-9_.-]{1,64}$/;
+
+let tableEnsured = false;
+
+async function ensureGroupsTable() {
+  if (tableEnsured) return;
+
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS consumer_groups (
+      name VARCHAR PRIMARY KEY,
+      topic VARCHAR NOT NULL,
+      partitions TEXT,
+      sink TEXT NOT NULL,
+      batch_size INTEGER NOT NULL,
+      interval VARCHAR NOT NULL,
+      paused INTEGER NOT NULL DEFAULT 0,
+      version INTEGER NOT NULL DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  tableEnsured = true;
+}
+
+function toDefinition(row) {
+  return {
+    name: row.name,
+    topic: row.topic,
+    partitions: row.partitions ? JSON.parse(row.partitions) : null,
+    sink: JSON.parse(row.sink),
+    batchSize: Number(row.batch_size),
+    interval: row.interval,
+    paused: Boolean(row.paused),
+    version: Number(row.version),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function validateName(name) {
+  if (typeof name !== "string" || !GROUP_NAME.test(name)) {
+    throw new Error(
+      `Invalid group name ${JSON.stringify(name)}: use 1-64 letters, digits, _, . or -`
+    );
+  }
+  // Groups from the config file are started at boot and can't be managed here
+  if (name in config.consumerGroups) {
+    throw new Error(`Invalid group name ${name}: it is defined in the config file`);
+  }
+}
+
+// `endpoint` on its own is shorthand for an http sink, as in the worker config
+async function checkDefinition(input) {
+  const { endpoint, ...rest } = input || {};
+  const candidate =
+    endpoint !== undefined && !rest.sink ? { ...rest, sink: { type: "http", endpoint } } : rest;
+
+  const { valid, value, errors } = validate(definitionSchema, candidate);
+  if (!valid) {
+    const problems = errors.map((error) => `${error.field} ${error.message}`).join("; ");
+    throw new Error(`Invalid consumer group: ${problems}`);
+  }
+  if (!value.sink.endpoint) {
+    throw new Error("Invalid consumer group: sink.endpoint is required for http sinks");
+  }
+
+  // Throws "Invalid topic name ..." or "Unknown topic ..." for a topic that doesn't exist
+  const { partitionDetails } = await admin.describeTopic(value.topic);
+  if (value.partitions) {
+    const existing = partitionDetails.map((p) => p.partition);
+    const unknown = value.partitions.filter((p) => !existing.includes(p));
+    if (value.partitions.length === 0 || unknown.length > 0) {
+      throw new Error(
+        `Invalid partitions for topic ${value.topic}: expected a non-empty list from ${existing.join(", ")}`
+      );
+    }
+  }
+  return value;
+}
+
+export async function listGroupDefinitions() {
+  await ensureGroupsTable();
+  const result = await db.execute(`SELECT * FROM consumer_groups ORDER BY name`);
+  return result.rows.map(toDefinition);
+}
+
+export async function getGroupDefinition(name) {
+  await ensureGroupsTable();
+  const result = await db.execute({
+    sql: `SELECT * FROM consumer_groups WHERE name = ?`,
+    args: [name],
+  });
+  if (result.rows.length === 0) {
+    throw new Error(`Unknown consumer group: ${name}`);
+  }
+  return toDefinition(result.rows[0]);
+}
+
+/**
+ * Store a new group: { topic, partitions?, sink | endpoint, batchSize?, interval? }.
+ * It starts unpaused and picks up from the group's committed offsets, if a group
+ * with this name consumed before.
+ */
+export async function createGroupDefinition(name, input) {
+  validateName(name);
+  const definition = await checkDefinition(input);
+  await ensureGroupsTable();
+
+  const result = await db.execute({
+    sql: `INSERT INTO consumer_groups (name, topic, partitions, sink, batch_size, interval)
+          VALUES (?, ?, ?, ?, ?, ?)
+          ON CONFLICT (name) DO NOTHING
+          RETURNING *`,
+    args: [
+      name,
+      definition.topic,
+      definition.partitions ? JSON.stringify(definition.partitions) : null,
+      JSON.stringify(definition.sink),
+      definition.batchSize,
+      definition.interval,
+    ],
+  });
+  if (result.rows.length === 0) {
+    throw new Error(`Consumer group ${name} already exists`);
+  }
+  return toDefinition(result.rows[0]);
+}
+
+// Replace some of a group's settings; the worker restarts it with the new ones
+export async function updateGroupDefinition(name, changes) {
+  const { topic, partitions, sink, batchSize, interval } = await getGroupDefinition(name);
+  // A new `endpoint` alone replaces the stored sink, like on create
+  const replacesSink = changes?.endpoint !== undefined && !changes.sink;
+  const definition = await checkDefinition({
+    topic,
+    partitions,
+    batchSize,
+    interval,
+    ...(replacesSink ? {} : { sink }),
+    ...changes,
+  });
+
+  const result = await db.execute({
+    sql: `UPDATE consumer_groups
+          SET topic = ?, partitions = ?, sink = ?, batch_size = ?, interval = ?,
+              version = version + 1, updated_at = CURRENT_TIMESTAMP
+          WHERE name = ?
+          RETURNING *`,
+    args: [
+      definition.topic,
+      definition.partitions ? JSON.stringify(definition.partitions) : null,
+      JSON.stringify(definition.sink),
+      definition.batchSize,
+      definition.interval,
+      name,
+    ],
+  });
+  if (result.rows.length === 0) {
+    throw new Error(`Unknown consumer group: ${name}`);
+  }
+  return toDefinition(result.rows[0]);
+}
+
+export async function setGroupPaused(name, paused) {
+  await ensureGroupsTable();
+  const result = await db.execute({
+    sql: `UPDATE consumer_groups SET paused = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE name = ?
+          RETURNING *`,
+    args: [paused ? 1 : 0, name],
+  });
+  if (result.rows.length === 0) {
+    throw new Error(`Unknown consumer group: ${name}`);
+  }
+  return toDefinition(result.rows[0]);
+}
+
+/**
+ * Delete a stored group and its committed offsets: retention never deletes past
+ * the lowest offset any group committed, so a deleted group's offsets would hold
+ * the topic's messages forever. A group re-created under the same name starts over.
+ * Replicas still running the group delete the offsets again once they stop it.
+ */
+export async function deleteGroupDefinition(name) {
+  await ensureGroupsTable();
+  const result = await db.execute({
+    sql: `DELETE FROM consumer_groups WHERE name = ? RETURNING *`,
+    args: [name],
+  });
+  if (result.rows.length === 0) {
+    throw new Error(`Unknown consumer group: ${name}`);
+  }
+  const definition = toDefinition(result.rows[0]);
+  await admin.deleteGroup(name, definition.topic);
+  return definition;
+}
+
+function workerConfig(definition) {
+  return {
+    ...(definition.partitions ? { partitions: definition.partitions } : {}),
+    // Every replica runs the stored groups, so they always share partitions
+    membership: { sessionTimeout: "30s" },
+    sink: definition.sink,
+    batchSize: definition.batchSize,
+    interval: definition.interval,
+  };
+}
+
+let activeSync = null;
+
+/**
+ * Keep `worker` running exactly the unpaused stored groups: now, every intervalMs
+ * (for changes made through another replica) and whenever syncGroups() is called.
+ * A group whose definition changed is stopped and started again.
+ */
+export function startGroupSync(worker, { intervalMs = 10_000 } = {}) {
+  const running = new Map(); // key: group name, value: { topic, version }
+  const errors = new Map(); // key: group name, value: why it couldn't be started
+  let queue = Promise.resolve();
+  let stopped = false;
+
+  async function reconcile() {
+    const definitions = await listGroupDefinitions();
+    const desired = new Map(
+      definitions
+        .filter((definition) => !definition.paused)
+        .map((definition) => [definition.name, definition])
+    );
+
+    for (const [name, { topic, version }] of running) {
+      if (desired.get(name)?.version === version && desired.get(name)?.topic === topic) continue;
+      await worker.removeGroup(topic, name);
+      running.delete(name);
+      // Offsets and leases the loop wrote after the group was deleted
+      if (!definitions.some((definition) => definition.name === name)) {
+        await admin.deleteGroup(name, topic);
+      }
+    }
+    for (const name of errors.keys()) {
+      if (!desired.has(name)) errors.delete(name);
+    }
+
+    for (const [name, definition] of desired) {
+      if (running.has(name) || stopped) continue;
+      running.set(name, { topic: definition.topic, version: definition.version });
+      // Not awaited: addGroup resolves after the group's first round, which may take a while
+      worker
+        .addGroup(definition.topic, name, workerConfig(definition))
+        .then(() => errors.delete(name))
+        .catch((err) => {
+          console.error(`Consumer group ${name} failed to start:`, err);
+          running.delete(name);
+          errors.set(name, err.message);
+        });
+    }
+  }
+
+  // Runs are queued so concurrent admin changes apply in order. A failed run is
+  // logged; the next one picks up the same stored state
+  function sync() {
+    queue = queue.then(reconcile).catch((err) => console.error("Consumer group sync error:", err));
+    return queue;
+  }
+
+  const timer = setInterval(sync, intervalMs);
+  timer.unref?.();
+  sync();
+
+  const handle = {
+    sync,
+    // The worker's status for a stored group, or why it couldn't be started
+    status(name) {
+      const topic = running.get(name)?.topic;
+      const status = worker.status().find((group) => group.group === name && group.topic === topic);
+      return { worker: status ?? null, error: errors.get(name) ?? null };
+    },
+    async stop() {
+      stopped = true;
+      clearInterval(timer);
+      await queue;
+      if (activeSync === handle) activeSync = null;
+    },
+  };
+  activeSync = handle;
+  return handle;
+}
+
+// Apply stored changes to this replica's worker right away, if it is running
+export async function syncGroups() {
+  await activeSync?.sync();
+}
+
+// Runtime state on this replica; worker is null for paused groups or without a worker
+export function groupStatus(name) {
+  return activeSync?.status(name) ?? { worker: null, error: null };
+}
@@ -1,8 +1,42 @@
 import { createClient } from "@libsql/client";
-import { createProducer } from "../klite/src/index.js";
+import { createAdmin, createProducer } from "../klite/src/index.js";
+import { config } from "../config.js";
+import { trackProducerWrite } from "../health.js";
+import { recordProducerWrite } from "./queueMetrics.js";
 
 export const db = createClient({
-  url: "file:./db.sqlite",
+  url: `file:${config.dbFile}`,
 });
 
-export const analyticsProducer = createProducer({ db });
+export const ANALYTICS_PARTITIONS = config.analytics.partitions;
+
+export const analyticsProducer = createProducer({
+  db,
+  topics: { analytics: { partitions: ANALYTICS_PARTITIONS } },
+  ...config.producer,
+  onWrite: (write) => {
+    recordProducerWrite(write);
+    trackProducerWrite(write);
+  },
+});
+
+export const admin = createAdmin({ db });
+
+// Kept long enough to rebuild the rollups (and their 30-day MAU) from offset 0.
+// The cleaner never removes rows a consumer group hasn't committed yet.
+const ANALYTICS_RETENTION = { maxAgeMs: config.analytics.retentionDays * 24 * 60 * 60 * 1000 };
+
+// Register the analytics topic so the retention cleaner can trim old rows
+export async function ensureAnalyticsTopic() {
+  const topics = await admin.listTopics();
+  const existing = topics.find((topic) => topic.name === "analytics");
+
+  if (!existing) {
+    await admin.createTopic("analytics", {
+      partitions: ANALYTICS_PARTITIONS,
+      retention: ANALYTICS_RETENTION,
+    });
+  } else if (JSON.stringify(existing.retention) !== JSON.stringify(ANALYTICS_RETENTION)) {
+    await admin.setRetention("analytics", ANALYTICS_RETENTION);
+  }
+}
@@ -0,0 +1,58 @@
+import duckdb from "duckdb";
+import { histogram } from "../metrics.js";
+
+const queryDuration = histogram(
+  "analytics_duckdb_query_duration_seconds",
+  "DuckDB query time, for reports and compaction",
+  ["status"]
+);
+
+let database;
+let connection;
+
+// One in-memory DuckDB for the whole process; it only ever reads and writes parquet files
+function getConnection() {
+  if (!connection) {
+    database = new duckdb.Database(":memory:");
+    connection = database.connect();
+  }
+  return connection;
+}
+
+// A quoted SQL string literal, for file paths and other values DuckDB can't take as params
+export function sqlString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+// BIGINT results come back as BigInt, which JSON.stringify rejects
+function toJson(row) {
+  const result = {};
+  for (const [name, value] of Object.entries(row)) {
+    result[name] = typeof value === "bigint" ? Number(value) : value;
+  }
+  return result;
+}
+
+/**
+ * Run `sql` with positional `?` params on the shared connection.
+ * Resolves with plain row objects.
+ */
+export function query(sql, params = []) {
+  const startedAt = performance.now();
+  return new Promise((resolve, reject) => {
+    getConnection().all(sql, ...params, (err, rows) => {
+      const seconds = (performance.now() - startedAt) / 1000;
+      queryDuration.observe({ status: err ? "error" : "ok" }, seconds);
+      return err ? reject(err) : resolve(rows.map(toJson));
+    });
+  });
+}
+
+export function closeDuckDB() {
+  if (!database) return Promise.resolve();
+
+  const closing = database;
+  database = undefined;
+  connection = undefined;
+  return new Promise((resolve) => closing.close(resolve));
+}
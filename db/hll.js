@@ -0,0 +1,49 @@
+import { createHash } from "crypto";
+
+// 2^12 registers: about 1.6% standard error on distinct counts
+export const HLL_PRECISION = 12;
+const REGISTERS = 1 << HLL_PRECISION;
+const ALPHA = 0.7213 / (1 + 1.079 / REGISTERS);
+
+/**
+ * HyperLogLog register for a value: the first HLL_PRECISION bits of its hash pick
+ * the register, the position of the first set bit in the rest is its rank.
+ * A sketch is the max rank seen per register, so adding a value twice is harmless.
+ */
+export function hllRegister(value) {
+  const hash = createHash("sha1").update(String(value)).digest();
+  const high = hash.readUInt32BE(0);
+  const low = hash.readUInt32BE(4);
+
+  const register = high >>> (32 - HLL_PRECISION);
+  const rest = (high << HLL_PRECISION) >>> 0;
+  const rank =
+    rest !== 0
+      ? Math.clz32(rest) + 1
+      : 32 - HLL_PRECISION + Math.min(Math.clz32(low), 32) + 1;
+
+  return { register, rank };
+}
+
+/**
+ * Estimate the distinct count from the max rank of each register that was set.
+ * Registers missing from `ranks` count as zero.
+ */
+export function hllEstimate(ranks) {
+  let sum = 0;
+  let set = 0;
+  for (const rank of ranks) {
+    sum += 2 ** -rank;
+    set++;
+  }
+
+  const zeros = REGISTERS - set;
+  sum += zeros;
+  const estimate = (ALPHA * REGISTERS * REGISTERS) / sum;
+
+  // Small cardinalities: linear counting over the empty registers is more accurate
+  if (estimate <= 2.5 * REGISTERS && zeros > 0) {
+    return Math.round(REGISTERS * Math.log(REGISTERS / zeros));
+  }
+  return Math.round(estimate);
+}
@@ -0,0 +1,148 @@
+import { db } from "./db.js";
+
+let ledgerEnsured = false;
+const inFlight = new Map(); // batchId -> promise of the running export
+const partitionQueues = new Map(); // "group:topic:partition" -> promise of the last export or rewind queued
+
+async function ensureLedger() {
+  if (ledgerEnsured) return;
+
+  await db.batch(
+    [
+      // Exports requested with a client Idempotency-Key and no offsets; `file` is a JSON array of paths
+      `CREATE TABLE IF NOT EXISTS export_ledger (
+        batch_id VARCHAR PRIMARY KEY,
+        file VARCHAR NOT NULL,
+        count INTEGER NOT NULL,
+        exported_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      // Highest offset each consumer group has exported, per partition
+      `CREATE TABLE IF NOT EXISTS export_offsets (
+        consumer_group VARCHAR NOT NULL,
+        topic VARCHAR NOT NULL,
+        partition INTEGER NOT NULL,
+        exported_offset INTEGER NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (consumer_group, topic, partition)
+      )`,
+    ],
+    "write"
+  );
+  ledgerEnsured = true;
+}
+
+async function findExport(batchId) {
+  const result = await db.execute({
+    sql: `SELECT file, count FROM export_ledger WHERE batch_id = ?`,
+    args: [batchId],
+  });
+  if (result.rows.length === 0) return null;
+
+  const { file, count } = result.rows[0];
+  return { files: JSON.parse(file), count: Number(count) };
+}
+
+/**
+ * Run `exportFn` at most once per batch id and remember its { files, count } result.
+ * A batch seen before resolves with the recorded result and `duplicate: true`.
+ * Concurrent calls with the same id share a single export.
+ * Without a batch id the export always runs.
+ *
+ * Only for batches whose content is fixed per id: a consumer batch redelivered
+ * after a failure can span more offsets than the first attempt, see exportNewMessages.
+ */
+export async function exportOnce(batchId, exportFn) {
+  if (!batchId) return { ...(await exportFn()), duplicate: false };
+
+  if (inFlight.has(batchId)) {
+    const result = await inFlight.get(batchId);
+    return { ...result, duplicate: true };
+  }
+
+  const run = (async () => {
+    await ensureLedger();
+
+    const previous = await findExport(batchId);
+    if (previous) return { ...previous, duplicate: true };
+
+    const { files, count } = await exportFn();
+    await db.execute({
+      sql: `INSERT INTO export_ledger (batch_id, file, count) VALUES (?, ?, ?)`,
+      args: [batchId, JSON.stringify(files), count],
+    });
+    return { files, count, duplicate: false };
+  })();
+
+  inFlight.set(batchId, run);
+  try {
+    return await run;
+  } finally {
+    inFlight.delete(batchId);
+  }
+}
+
+// Runs `fn` after everything queued before for the same group and partition
+async function queued(group, topic, partition, fn) {
+  const key = `${group}:${topic}:${partition}`;
+  const run = (partitionQueues.get(key) ?? Promise.resolve()).catch(() => {}).then(fn);
+
+  partitionQueues.set(key, run);
+  try {
+    return await run;
+  } finally {
+    if (partitionQueues.get(key) === run) partitionQueues.delete(key);
+  }
+}
+
+async function exportedOffset(group, topic, partition) {
+  const result = await db.execute({
+    sql: `SELECT exported_offset FROM export_offsets
+          WHERE consumer_group = ? AND topic = ? AND partition = ?`,
+    args: [group, topic, partition],
+  });
+  return result.rows.length > 0 ? Number(result.rows[0].exported_offset) : null;
+}
+
+/**
+ * Export the messages of a consumer group's batch that are past the highest offset
+ * the group already exported from the partition, then record the new highest offset.
+ * A redelivered batch is skipped message by message, however its range shifted.
+ * Resolves with `exportFn`'s { files, count } plus `alreadyExported` (messages left
+ * out) and `duplicate` (nothing was new). Exports for one partition run one at a time.
+ */
+export function exportNewMessages({ group, topic, partition, messages }, exportFn) {
+  return queued(group, topic, partition, async () => {
+    await ensureLedger();
+
+    const exported = await exportedOffset(group, topic, partition);
+    const fresh = messages.filter((msg) => exported === null || msg.offset > exported);
+    const alreadyExported = messages.length - fresh.length;
+    if (fresh.length === 0) return { files: [], count: 0, alreadyExported, duplicate: true };
+
+    const { files, count } = await exportFn(fresh);
+    await db.execute({
+      sql: `INSERT INTO export_offsets (consumer_group, topic, partition, exported_offset)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT (consumer_group, topic, partition)
+            DO UPDATE SET exported_offset = excluded.exported_offset, updated_at = CURRENT_TIMESTAMP`,
+      args: [group, topic, partition, fresh[fresh.length - 1].offset],
+    });
+    return { files, count, alreadyExported, duplicate: false };
+  });
+}
+
+/**
+ * Forget exports at or after `offset`, so a group seeked back to it writes those
+ * messages again. Waits for an export already running for the partition, which
+ * would otherwise record its offset over the rewind.
+ */
+export function rewindExports(group, topic, partition, offset) {
+  return queued(group, topic, partition, async () => {
+    await ensureLedger();
+    await db.execute({
+      sql: `UPDATE export_offsets SET exported_offset = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE consumer_group = ? AND topic = ? AND partition = ? AND exported_offset >= ?`,
+      args: [offset - 1, group, topic, partition, offset],
+    });
+  });
+}
@@ -0,0 +1,44 @@
+import fs from "fs";
+import parquet from "parquetjs-lite";
+import { PARQUET_DIR, writeBatchToParquet } from "./parquet.js";
+
+/**
+ * Rewrite flat parquet/analytics-*.parquet files from before date partitioning
+ * into the parquet/tenant=default/event_date=YYYY-MM-DD/ layout, then remove the
+ * originals. Rows are revalidated on the way, so string timestamps become
+ * TIMESTAMP_MILLIS.
+ */
+async function migrateParquet() {
+  if (!fs.existsSync(PARQUET_DIR)) {
+    console.log("Parquet folder does not exist, nothing to migrate.");
+    return;
+  }
+
+  const legacyFiles = fs
+    .readdirSync(PARQUET_DIR)
+    .filter((f) => f.endsWith(".parquet"));
+
+  for (const name of legacyFiles) {
+    const legacyFile = `${PARQUET_DIR}/${name}`;
+    const reader = await parquet.ParquetReader.openFile(legacyFile);
+    const rows = [];
+    try {
+      const cursor = reader.getCursor();
+      let row;
+      while ((row = await cursor.next())) rows.push(row);
+    } finally {
+      await reader.close();
+    }
+
+    const { files, count, skipped } = await writeBatchToParquet(rows);
+    fs.unlinkSync(legacyFile);
+    console.log(
+      `Migrated ${count} rows from ${legacyFile} to ${files.join(", ")}` +
+        (skipped > 0 ? ` (${skipped} invalid rows dropped)` : "")
+    );
+  }
+
+  console.log(`Migrated ${legacyFiles.length} file(s).`);
+}
+
+migrateParquet().catch(console.error);
@@ -1,92 +1,205 @@
 import fs from "fs";
-import parquet from "parquetjs-lite";
+import path from "path";
+import { randomUUID } from "crypto";
+import { config } from "../config.js";
+import { counter } from "../metrics.js";
 import { createConsumer } from "../klite/src/index.js";
-import { db } from "./db.js";
+import { db, ANALYTICS_PARTITIONS } from "./db.js";
+import { query, sqlString } from "./duckdb.js";
+import { exportNewMessages } from "./ledger.js";
+import { DEFAULT_TENANT, validateTenantId } from "./tenants.js";
+import {
+  CUSTOM_EVENT_TYPE,
+  latestVersion,
+  parquetColumnsFor,
+  toEventRecord,
+  validateEvent,
+} from "../schema/events.js";
 
-const PARQUET_DIR = "./parquet";
+export const PARQUET_DIR = config.parquetDir;
+
+const filesWritten = counter(
+  "analytics_parquet_files_written_total",
+  "Parquet files written by exports",
+  ["tenant"]
+);
+const rowsWritten = counter(
+  "analytics_parquet_rows_written_total",
+  "Rows written to parquet by exports",
+  ["tenant"]
+);
+const rowsSkipped = counter(
+  "analytics_parquet_rows_skipped_total",
+  "Exported messages dropped for not matching their event schema"
+);
 const BATCH_LIMIT = 1000;
 
-function getNewParquetFileName() {
+// Hive-style layout, parquet/tenant=<id>/event_date=YYYY-MM-DD/, so queries only
+// read their tenant's files and date filters skip whole directories
+export function tenantDir(tenant) {
+  return `${PARQUET_DIR}/tenant=${tenant}`;
+}
+
+function partitionDir(tenant, eventDate) {
+  return `${tenantDir(tenant)}/event_date=${eventDate}`;
+}
+
+// Partitions are exported concurrently, so the timestamp alone can collide
+function getNewParquetFileName(tenant, eventDate) {
   const now = new Date();
   const ts = now.toISOString().replace(/[:.]/g, "-");
-  return `${PARQUET_DIR}/analytics-${ts}.parquet`;
+  return `${partitionDir(tenant, eventDate)}/analytics-${ts}-${randomUUID().slice(0, 8)}.parquet`;
 }
 
-const schema = new parquet.ParquetSchema({
-  deviceId: { type: "UTF8" },
-  appVersion: { type: "UTF8" },
-  platform: { type: "UTF8" },
-  architecture: { type: "UTF8" },
-  timestamp: { type: "UTF8" },
-});
+// Every event type is stored as a custom-event row: one column per custom-event
+// field, with the properties map in a JSON column
+const EVENT_VERSION = latestVersion(CUSTOM_EVENT_TYPE);
+const COLUMNS = Object.entries(parquetColumnsFor(CUSTOM_EVENT_TYPE, EVENT_VERSION))
+  .map(([name, type]) => `${name}: ${sqlString(type)}`)
+  .join(", ");
+
+// klite's `created` is "YYYY-MM-DD HH:MM:SS" in UTC
+function createdToIso(created) {
+  return created ? `${String(created).replace(" ", "T")}Z` : undefined;
+}
 
 /**
- * Write an array of message objects to a new parquet file.
+ * Validate a queued message against its event schema and flatten it into a
+ * custom-event record with its `tenant`. Messages queued before validation or
+ * tenancy existed may lack a timestamp (`created` fills in) or a tenant (the
+ * default tenant). Returns null for messages that don't match the schema.
+ */
+export function eventFromMessage(msg) {
+  const data = msg && msg.data ? msg.data : msg;
+  if (!data) return null;
+
+  const { tenant = DEFAULT_TENANT, ...fields } = data;
+  try {
+    validateTenantId(tenant);
+  } catch (err) {
+    return null;
+  }
+
+  const { valid, value } = validateEvent({
+    ...fields,
+    timestamp: fields.timestamp || createdToIso(msg.created),
+  });
+  return valid ? { tenant, ...toEventRecord(value) } : null;
+}
+
+function toParquetRow(msg) {
+  const record = eventFromMessage(msg);
+  return record && { ...record, timestamp: new Date(record.timestamp) };
+}
+
+// Rows grouped by tenant and the UTC date of their timestamp, which name their partition directory
+function groupByPartition(rows) {
+  const groups = new Map();
+  for (const { tenant, ...row } of rows) {
+    const eventDate = row.timestamp.toISOString().slice(0, 10);
+    const key = `${tenant}/${eventDate}`;
+    if (!groups.has(key)) groups.set(key, { tenant, eventDate, rows: [] });
+    groups.get(key).rows.push(row);
+  }
+  return groups.values();
+}
+
+/**
+ * Write an array of message objects to parquet, one new file per tenant and event date.
  * Each message can be either the raw data object or an envelope like { data: {...}, created, offset }
- * Returns { file, count }
+ * Messages failing the event schema are skipped.
+ * Returns { files, count, skipped }
  */
 export async function writeBatchToParquet(messages) {
   if (!Array.isArray(messages)) {
     throw new Error("messages must be an array");
   }
 
-  if (!fs.existsSync(PARQUET_DIR)) {
-    fs.mkdirSync(PARQUET_DIR);
+  const rows = [];
+  let skipped = 0;
+  for (const msg of messages) {
+    const row = toParquetRow(msg);
+    if (row) {
+      rows.push(row);
+    } else {
+      skipped++;
+    }
   }
 
-  const parquetFile = getNewParquetFileName();
-  const writer = await parquet.ParquetWriter.openFile(schema, parquetFile);
-  let written = 0;
-
-  try {
-    for (const msg of messages) {
-      const data = msg && msg.data ? msg.data : msg;
-      if (!data) continue;
-
-      // normalize timestamp: prefer data.timestamp, fallback to msg.created
-      let ts = data.timestamp || msg.created || new Date().toISOString();
-      try {
-        ts = new Date(ts).toISOString();
-      } catch (e) {
-        ts = String(ts);
-      }
-
-      await writer.appendRow({
-        deviceId: data.deviceId || null,
-        appVersion: data.appVersion || null,
-        platform: data.platform || null,
-        architecture: data.architecture || null,
-        timestamp: ts,
-      });
+  const files = [];
+  for (const { tenant, eventDate, rows: partitionRows } of groupByPartition(rows)) {
+    fs.mkdirSync(partitionDir(tenant, eventDate), { recursive: true });
 
-      written++;
+    // Written under a hidden name and renamed once complete, so readers and
+    // compaction never pick up a half-written file. DuckDB reads the rows from
+    // newline-delimited JSON beside it
+    const parquetFile = getNewParquetFileName(tenant, eventDate);
+    const tmpFile = path.join(path.dirname(parquetFile), `.${path.basename(parquetFile)}.tmp`);
+    const rowsFile = `${tmpFile}.jsonl`;
+    fs.writeFileSync(rowsFile, partitionRows.map((row) => `${JSON.stringify(row)}\n`).join(""));
+    try {
+      await query(
+        `COPY (
+          SELECT * FROM read_json(
+            ${sqlString(rowsFile)},
+            format = 'newline_delimited',
+            hive_partitioning = false,
+            columns = {${COLUMNS}}
+          )
+        ) TO ${sqlString(tmpFile)} (FORMAT parquet, COMPRESSION snappy)`
+      );
+    } catch (err) {
+      fs.rmSync(tmpFile, { force: true });
+      throw err;
+    } finally {
+      fs.rmSync(rowsFile, { force: true });
     }
-  } finally {
-    await writer.close();
+    fs.renameSync(tmpFile, parquetFile);
+    files.push(parquetFile);
+    filesWritten.inc({ tenant });
+    rowsWritten.inc({ tenant }, partitionRows.length);
+  }
+
+  if (skipped > 0) {
+    rowsSkipped.inc({}, skipped);
+    console.warn(`Skipped ${skipped} messages not matching their event schema`);
   }
 
-  return { file: parquetFile, count: written };
+  return { files, count: rows.length, skipped };
 }
 
 /**
- * Keep the older consumer-based exporter available as a named export.
- * It is no longer auto-invoked on import — call it manually if needed.
+ * Worker sink factory for `sink: { type: "parquet" }`, writing each batch
+ * straight to parquet instead of POSTing it to /export.
  */
-export async function exportToParquet() {
-  const consumer = createConsumer({ db, group: "analytics-group" });
-
-  if (!fs.existsSync(PARQUET_DIR)) {
-    fs.mkdirSync(PARQUET_DIR);
-  }
+export function createParquetSink() {
+  return {
+    description: `Sink: parquet ${PARQUET_DIR}`,
+    async deliver(batch) {
+      const { topic, partition, batchId } = batch;
+      const { files, count, alreadyExported, duplicate } = await exportNewMessages(
+        batch,
+        writeBatchToParquet
+      );
+      if (duplicate) {
+        console.log(`[${topic}:${partition}] Batch ${batchId} already exported, skipped`);
+      } else {
+        const note = alreadyExported > 0 ? ` (${alreadyExported} already exported)` : "";
+        console.log(`[${topic}:${partition}] Wrote ${count} records to ${files.join(", ")}${note}`);
+      }
+    },
+  };
+}
 
-  let totalExported = 0;
+async function exportPartition(consumer, partition) {
+  let exported = 0;
   let fileCount = 0;
   let done = false;
 
   while (!done) {
     let batch = [];
     while (batch.length < BATCH_LIMIT) {
-      const messages = await consumer.fetch("analytics", 0, {
+      const messages = await consumer.fetch("analytics", partition, {
         maxMessages: Math.min(100, BATCH_LIMIT - batch.length),
       });
 
@@ -96,48 +209,55 @@ export async function exportToParquet() {
       }
 
       console.log(
-        `Fetched ${messages.length} messages (offsets ${messages[0].offset} → ${
-          messages[messages.length - 1].offset
-        })`
+        `Fetched ${messages.length} messages from partition ${partition} (offsets ${
+          messages[0].offset
+        } → ${messages[messages.length - 1].offset})`
       );
 
       batch.push(...messages);
     }
 
-    if (batch.length === 0) {
-      if (fileCount === 0) {
-        console.log("No new messages to export.");
-      }
-      break;
-    }
+    if (batch.length === 0) break;
 
-    fileCount++;
-    const parquetFile = getNewParquetFileName();
-    const writer = await parquet.ParquetWriter.openFile(schema, parquetFile);
-
-    for (const msg of batch) {
-      await writer.appendRow({
-        ...msg.data,
-        timestamp: new Date(msg.data.timestamp).toISOString(),
-      });
-    }
+    const { files } = await writeBatchToParquet(batch);
+    fileCount += files.length;
 
     // ✅ Commit once for the whole batch
     const lastOffset = batch[batch.length - 1].offset;
-    await consumer.commit("analytics", 0, lastOffset);
+    await consumer.commit("analytics", partition, lastOffset);
 
-    await writer.close();
-    totalExported += batch.length;
+    exported += batch.length;
 
     console.log(
-      `Wrote ${batch.length} records to ${parquetFile} and committed offset ${lastOffset}.`
+      `Wrote ${batch.length} records to ${files.join(", ")} and committed offset ${lastOffset} on partition ${partition}.`
     );
   }
 
+  return { exported, fileCount };
+}
+
+/**
+ * Keep the older consumer-based exporter available as a named export.
+ * It is no longer auto-invoked on import — call it manually if needed.
+ */
+export async function exportToParquet() {
+  const consumer = createConsumer({ db, group: "analytics-group" });
+
+  let totalExported = 0;
+  let fileCount = 0;
+
+  for (let partition = 0; partition < ANALYTICS_PARTITIONS; partition++) {
+    const result = await exportPartition(consumer, partition);
+    totalExported += result.exported;
+    fileCount += result.fileCount;
+  }
+
   if (totalExported > 0) {
     console.log(
       `✅ Exported a total of ${totalExported} records in ${fileCount} file(s).`
     );
+  } else {
+    console.log("No new messages to export.");
   }
 
   return { totalExported, fileCount };
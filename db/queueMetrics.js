@@ -0,0 +1,112 @@
+import { partitionBounds } from "../klite/src/topics.js";
+import { counter, gauge, histogram, onCollect } from "../metrics.js";
+
+const BATCH_SIZE_BUCKETS = [1, 5, 10, 50, 100, 500, 1000, 5000];
+
+const writeMessages = histogram(
+  "klite_producer_batch_messages",
+  "Messages per producer write to SQLite",
+  ["topic"],
+  BATCH_SIZE_BUCKETS
+);
+const writeDuration = histogram(
+  "klite_producer_flush_duration_seconds",
+  "Time to write a producer batch to SQLite",
+  ["topic"]
+);
+const writeErrors = counter(
+  "klite_producer_flush_errors_total",
+  "Producer batches that failed to write",
+  ["topic"]
+);
+const pendingMessages = gauge(
+  "klite_producer_pending_messages",
+  "Messages accepted by the producer and not yet written"
+);
+const pendingBatches = gauge(
+  "klite_producer_pending_batches",
+  "Producer batches waiting to be written or being written"
+);
+
+const highWaterMark = gauge(
+  "klite_partition_high_water_mark",
+  "Offset of the newest message in the partition",
+  ["topic", "partition"]
+);
+const committedOffset = gauge(
+  "klite_group_committed_offset",
+  "Last offset committed by the consumer group",
+  ["group", "topic", "partition"]
+);
+const groupLag = gauge(
+  "klite_group_lag",
+  "Messages in the partition not yet committed by the consumer group",
+  ["group", "topic", "partition"]
+);
+
+const deliveryDuration = histogram(
+  "klite_sink_delivery_duration_seconds",
+  "Time for a sink to deliver one batch, successful or not",
+  ["group", "topic", "sink"]
+);
+const deliveredMessages = counter(
+  "klite_sink_delivered_messages_total",
+  "Messages delivered by consumer group sinks",
+  ["group", "topic", "sink"]
+);
+const deliveryFailures = counter(
+  "klite_sink_delivery_failures_total",
+  "Batches a consumer group sink failed to deliver",
+  ["group", "topic", "sink"]
+);
+
+// Producer `onWrite` hook
+export function recordProducerWrite({ topic, messages, durationMs, error }) {
+  writeMessages.observe({ topic }, messages);
+  writeDuration.observe({ topic }, durationMs / 1000);
+  if (error) writeErrors.inc({ topic });
+}
+
+// Worker `onDelivery` hook
+export function recordDelivery({ topic, group, sink, messages, durationMs, error }) {
+  const labels = { group, topic, sink };
+  deliveryDuration.observe(labels, durationMs / 1000);
+  if (error) {
+    deliveryFailures.inc(labels);
+  } else {
+    deliveredMessages.inc(labels, messages);
+  }
+}
+
+/**
+ * Read queue depth, high-water marks and group offsets on every scrape. Gauges are
+ * replaced only once every read succeeded, so a scrape never sees them half-filled.
+ */
+export function collectQueueMetrics({ db, admin, producer }) {
+  onCollect(async () => {
+    const partitions = [];
+    for (const topic of await admin.listTopics()) {
+      for (let partition = 0; partition < topic.partitions; partition++) {
+        const bounds = await partitionBounds(db, topic.name, partition);
+        partitions.push({ topic: topic.name, partition, highWaterMark: bounds.highWaterMark });
+      }
+    }
+    const offsets = await admin.listGroupOffsets();
+    const pending = producer.pending();
+
+    pendingMessages.set({}, pending.messages);
+    pendingBatches.set({}, pending.batches);
+
+    highWaterMark.reset();
+    for (const { topic, partition, highWaterMark: offset } of partitions) {
+      highWaterMark.set({ topic, partition }, offset);
+    }
+
+    committedOffset.reset();
+    groupLag.reset();
+    for (const { group, topic, partition, committedOffset: offset, lag } of offsets) {
+      committedOffset.set({ group, topic, partition }, offset);
+      groupLag.set({ group, topic, partition }, lag);
+    }
+  });
+}
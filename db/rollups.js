@@ -0,0 +1,310 @@
+import { fileURLToPath } from "url";
+import { createConsumer } from "../klite/src/index.js";
+import { partitionBounds } from "../klite/src/topics.js";
+import { db, ANALYTICS_PARTITIONS } from "./db.js";
+import { hllEstimate, hllRegister } from "./hll.js";
+import { eventFromMessage } from "./parquet.js";
+import { DEFAULT_TENANT } from "./tenants.js";
+
+export const ROLLUP_GROUP = "rollups";
+const TOPIC = "analytics";
+
+// Rollup columns for the report dimensions; missing values are stored as ""
+const DIMENSIONS = {
+  appVersion: "app_version",
+  platform: "platform",
+  architecture: "architecture",
+};
+
+let tablesEnsured = false;
+
+async function ensureRollupTables() {
+  if (tablesEnsured) return;
+
+  await db.batch(
+    [
+      `CREATE TABLE IF NOT EXISTS rollup_daily_counts (
+        tenant TEXT NOT NULL,
+        event_date TEXT NOT NULL,
+        event TEXT NOT NULL,
+        app_version TEXT NOT NULL,
+        platform TEXT NOT NULL,
+        architecture TEXT NOT NULL,
+        events INTEGER NOT NULL,
+        PRIMARY KEY (tenant, event_date, event, app_version, platform, architecture)
+      )`,
+      // One row per HyperLogLog register that has been set, see hll.js
+      `CREATE TABLE IF NOT EXISTS rollup_daily_devices (
+        tenant TEXT NOT NULL,
+        event_date TEXT NOT NULL,
+        app_version TEXT NOT NULL,
+        platform TEXT NOT NULL,
+        architecture TEXT NOT NULL,
+        register INTEGER NOT NULL,
+        rank INTEGER NOT NULL,
+        PRIMARY KEY (tenant, event_date, app_version, platform, architecture, register)
+      )`,
+      // Highest analytics offset folded into the rollups, per partition
+      `CREATE TABLE IF NOT EXISTS rollup_offsets (
+        partition INTEGER PRIMARY KEY,
+        applied_offset INTEGER NOT NULL
+      )`,
+    ],
+    "write"
+  );
+  tablesEnsured = true;
+}
+
+async function appliedOffset(partition) {
+  const result = await db.execute({
+    sql: `SELECT applied_offset FROM rollup_offsets WHERE partition = ?`,
+    args: [partition],
+  });
+  return result.rows.length > 0 ? Number(result.rows[0].applied_offset) : null;
+}
+
+// Every statement of a batch is conditioned on `guard`, see createRollupSink
+function rollupStatements(messages, guard) {
+  const counts = new Map();
+  const registers = new Map();
+
+  for (const msg of messages) {
+    const record = eventFromMessage(msg);
+    if (!record) continue;
+
+    const dims = [
+      record.tenant,
+      record.timestamp.slice(0, 10),
+      record.appVersion ?? "",
+      record.platform ?? "",
+      record.architecture ?? "",
+    ];
+
+    const countKey = JSON.stringify([...dims, record.event]);
+    counts.set(countKey, (counts.get(countKey) ?? 0) + 1);
+
+    const { register, rank } = hllRegister(record.deviceId);
+    const registerKey = JSON.stringify([...dims, register]);
+    registers.set(registerKey, Math.max(registers.get(registerKey) ?? 0, rank));
+  }
+
+  const statements = [];
+  for (const [key, events] of counts) {
+    const [tenant, eventDate, appVersion, platform, architecture, event] = JSON.parse(key);
+    statements.push({
+      sql: `INSERT INTO rollup_daily_counts (tenant, event_date, event, app_version, platform, architecture, events)
+            SELECT ?, ?, ?, ?, ?, ?, ? WHERE ${guard.sql}
+            ON CONFLICT (tenant, event_date, event, app_version, platform, architecture)
+            DO UPDATE SET events = events + excluded.events`,
+      args: [tenant, eventDate, event, appVersion, platform, architecture, events, ...guard.args],
+    });
+  }
+  for (const [key, rank] of registers) {
+    const [tenant, eventDate, appVersion, platform, architecture, register] = JSON.parse(key);
+    statements.push({
+      sql: `INSERT INTO rollup_daily_devices (tenant, event_date, app_version, platform, architecture, register, rank)
+            SELECT ?, ?, ?, ?, ?, ?, ? WHERE ${guard.sql}
+            ON CONFLICT (tenant, event_date, app_version, platform, architecture, register)
+            DO UPDATE SET rank = MAX(rank, excluded.rank)`,
+      args: [tenant, eventDate, appVersion, platform, architecture, register, rank, ...guard.args],
+    });
+  }
+  return statements;
+}
+
+/**
+ * Worker sink factory for `sink: { type: "rollup" }`. Each batch is folded into the
+ * daily rollups together with its last offset in one transaction, so redelivered
+ * messages are skipped. A batch that starts past the applied offset (the group was
+ * committed ahead of the rollups, e.g. around a rebuild) rewinds the group instead.
+ */
+export function createRollupSink() {
+  return {
+    description: "Sink: daily rollups",
+    async deliver({ topic, partition, group, messages }) {
+      await ensureRollupTables();
+
+      const applied = await appliedOffset(partition);
+      const expected =
+        applied === null ? (await partitionBounds(db, topic, partition)).lowWaterMark : applied + 1;
+
+      if (messages[0].offset > expected) {
+        await createConsumer({ db, group }).seek(topic, partition, expected);
+        throw new Error(
+          `Rollups for ${topic}:${partition} continue at offset ${expected}, rewound ${group}`
+        );
+      }
+
+      const fresh = messages.filter((msg) => applied === null || msg.offset > applied);
+      if (fresh.length === 0) return;
+
+      // A rebuild can clear the rollups between the read above and this write; the
+      // guard turns the whole batch into a no-op then, and the retry rewinds the group
+      const guard = {
+        sql: `(SELECT applied_offset FROM rollup_offsets WHERE partition = ?) IS ?`,
+        args: [partition, applied],
+      };
+      const results = await db.batch(
+        [
+          ...rollupStatements(fresh, guard),
+          {
+            sql: `INSERT INTO rollup_offsets (partition, applied_offset)
+                  SELECT ?, ? WHERE ${guard.sql}
+                  ON CONFLICT (partition) DO UPDATE SET applied_offset = excluded.applied_offset`,
+            args: [partition, fresh[fresh.length - 1].offset, ...guard.args],
+          },
+        ],
+        "write"
+      );
+      if (results[results.length - 1].rowsAffected === 0) {
+        throw new Error(`Rollups for ${topic}:${partition} were rebuilt while applying a batch`);
+      }
+    },
+  };
+}
+
+/**
+ * Drop all rollups and replay the analytics topic into them from the start of
+ * what it still retains. A batch the running rollup group has in flight is not
+ * applied over the cleared tables: its write matches no applied offset and fails,
+ * and when the group's commit lands after the seek, its next batch starts past
+ * the cleared offsets and rewinds the group to the beginning again.
+ */
+export async function rebuildRollups() {
+  await ensureRollupTables();
+
+  await db.batch(
+    [
+      `DELETE FROM rollup_daily_counts`,
+      `DELETE FROM rollup_daily_devices`,
+      `DELETE FROM rollup_offsets`,
+    ],
+    "write"
+  );
+
+  const consumer = createConsumer({ db, group: ROLLUP_GROUP });
+  for (let partition = 0; partition < ANALYTICS_PARTITIONS; partition++) {
+    await consumer.seekToBeginning(TOPIC, partition);
+  }
+}
+
+function whereClause(filters, conditions = []) {
+  const clauses = ["tenant = ?", ...conditions];
+  const args = [filters.tenant ?? DEFAULT_TENANT];
+
+  if (filters.from) {
+    clauses.push("event_date >= ?");
+    args.push(filters.from);
+  }
+  if (filters.to) {
+    clauses.push("event_date <= ?");
+    args.push(filters.to);
+  }
+  for (const [name, column] of Object.entries(DIMENSIONS)) {
+    if (filters[name] === undefined) continue;
+    clauses.push(`${column} = ?`);
+    args.push(filters[name]);
+  }
+
+  return { sql: `WHERE ${clauses.join(" AND ")}`, args };
+}
+
+// Version and platform breakdowns count device pings only, like the parquet reports
+async function countBy(name, filters) {
+  await ensureRollupTables();
+
+  const column = DIMENSIONS[name];
+  const where = whereClause(filters, ["event = 'device_ping'"]);
+  const result = await db.execute({
+    sql: `SELECT ${column} AS value, SUM(events) AS count
+          FROM rollup_daily_counts
+          ${where.sql}
+          GROUP BY ${column}
+          ORDER BY count DESC`,
+    args: where.args,
+  });
+
+  return result.rows.map((row) => ({ [name]: row.value || null, count: Number(row.count) }));
+}
+
+export function versionUsage(filters = {}) {
+  return countBy("appVersion", filters);
+}
+
+export function platformUsage(filters = {}) {
+  return countBy("platform", filters);
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function shiftDate(date, days) {
+  return new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Monday of the week containing `date`, matching DuckDB's DATE_TRUNC('week', ...)
+function weekStart(date) {
+  return shiftDate(date, -((new Date(date).getUTCDay() + 6) % 7));
+}
+
+// Version usage within one week, narrowed further by any from / to filter
+async function weekVersionUsage(filters, start) {
+  const end = shiftDate(start, 6);
+  const from = filters.from && filters.from > start ? filters.from : start;
+  const to = filters.to && filters.to < end ? filters.to : end;
+  if (from > to) return [];
+
+  return countBy("appVersion", { ...filters, from, to });
+}
+
+export async function weeklyVersionUsage(filters = {}) {
+  const current = weekStart(new Date().toISOString().slice(0, 10));
+
+  const [currentWeek, previousWeek] = await Promise.all([
+    weekVersionUsage(filters, current),
+    weekVersionUsage(filters, shiftDate(current, -7)),
+  ]);
+  return { currentWeek, previousWeek };
+}
+
+async function distinctDevices(filters, from, to) {
+  const where = whereClause({ ...filters, from, to });
+  const result = await db.execute({
+    sql: `SELECT register, MAX(rank) AS rank
+          FROM rollup_daily_devices
+          ${where.sql}
+          GROUP BY register`,
+    args: where.args,
+  });
+  return hllEstimate(result.rows.map((row) => Number(row.rank)));
+}
+
+/**
+ * Estimated distinct devices sending any event on the `to` date (default today)
+ * and in the 30 days ending on it. `from` does not apply.
+ */
+export async function activeUsers(filters = {}) {
+  await ensureRollupTables();
+
+  const date = filters.to || new Date().toISOString().slice(0, 10);
+  const [dau, mau] = await Promise.all([
+    distinctDevices(filters, date, date),
+    distinctDevices(filters, shiftDate(date, -29), date),
+  ]);
+  return { date, dau, mau };
+}
+
+// `node db/rollups.js rebuild` resets the rollups group to replay from offset 0
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const [command] = process.argv.slice(2);
+  if (command !== "rebuild") {
+    console.error("Usage: node db/rollups.js rebuild");
+    process.exitCode = 1;
+  } else {
+    rebuildRollups()
+      .then(() => console.log(`Cleared rollups and reset group ${ROLLUP_GROUP} to the beginning`))
+      .catch((err) => {
+        console.error(err);
+        process.exitCode = 1;
+      });
+  }
+}
@@ -0,0 +1,111 @@
+import { createHash, randomBytes } from "crypto";
+import { db } from "./db.js";
+
+// Events queued or exported before tenancy belong to this tenant
+export const DEFAULT_TENANT = "default";
+
+// Ingestion keys ship inside desktop apps, so they can't read analytics back
+export const KEY_SCOPES = ["ingest", "read"];
+
+const TENANT_ID = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+// Tenant ids end up in parquet paths and SQL, so they are kept to a safe alphabet
+export function validateTenantId(tenant) {
+  if (typeof tenant !== "string" || !TENANT_ID.test(tenant)) {
+    throw new Error(
+      `Invalid tenant id ${JSON.stringify(tenant)}: use 1-64 lowercase letters, digits, _ or -`
+    );
+  }
+}
+
+let tableEnsured = false;
+
+async function ensureKeysTable() {
+  if (tableEnsured) return;
+
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tenant_id VARCHAR NOT NULL,
+      name VARCHAR,
+      scope VARCHAR NOT NULL,
+      key_hash VARCHAR NOT NULL UNIQUE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      revoked_at DATETIME
+    )
+  `);
+  tableEnsured = true;
+}
+
+// Keys are 256 random bits, so a plain SHA-256 is enough to keep them unusable if the database leaks
+function hashKey(key) {
+  return createHash("sha256").update(key).digest("hex");
+}
+
+function toApiKey(row) {
+  return {
+    id: Number(row.id),
+    tenant: row.tenant_id,
+    name: row.name,
+    scope: row.scope,
+    createdAt: row.created_at,
+    revokedAt: row.revoked_at,
+  };
+}
+
+/**
+ * Issue a new key for `tenant`. The plain key is only returned here; the
+ * database keeps its hash.
+ */
+export async function createApiKey(tenant, { name = null, scope = "ingest" } = {}) {
+  validateTenantId(tenant);
+  if (!KEY_SCOPES.includes(scope)) {
+    throw new Error(`Invalid scope ${scope}: expected one of ${KEY_SCOPES.join(", ")}`);
+  }
+  await ensureKeysTable();
+
+  const key = `ak_${randomBytes(32).toString("base64url")}`;
+  const result = await db.execute({
+    sql: `INSERT INTO api_keys (tenant_id, name, scope, key_hash) VALUES (?, ?, ?, ?) RETURNING *`,
+    args: [tenant, name, scope, hashKey(key)],
+  });
+
+  return { ...toApiKey(result.rows[0]), key };
+}
+
+export async function listApiKeys(tenant) {
+  validateTenantId(tenant);
+  await ensureKeysTable();
+
+  const result = await db.execute({
+    sql: `SELECT * FROM api_keys WHERE tenant_id = ? ORDER BY id`,
+    args: [tenant],
+  });
+  return result.rows.map(toApiKey);
+}
+
+export async function revokeApiKey(id) {
+  await ensureKeysTable();
+
+  const result = await db.execute({
+    sql: `UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP
+          WHERE id = ? AND revoked_at IS NULL RETURNING *`,
+    args: [id],
+  });
+  if (result.rows.length === 0) {
+    throw new Error(`Unknown or already revoked key: ${id}`);
+  }
+  return toApiKey(result.rows[0]);
+}
+
+// The active key matching `key`, or null
+export async function findApiKey(key) {
+  if (typeof key !== "string" || key === "") return null;
+  await ensureKeysTable();
+
+  const result = await db.execute({
+    sql: `SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL`,
+    args: [hashKey(key)],
+  });
+  return result.rows.length > 0 ? toApiKey(result.rows[0]) : null;
+}
@@ -0,0 +1,171 @@
+import fs from "fs";
+
+// Outcome of the latest producer writes; fed by the producer's `onWrite` hook in db/db.js
+const producerWrites = {
+  lastSuccessAt: null,
+  lastErrorAt: null,
+  lastError: null,
+  failures: 0, // consecutive failed writes
+};
+
+export function trackProducerWrite({ error }) {
+  if (error) {
+    producerWrites.lastErrorAt = Date.now();
+    producerWrites.lastError = error.message;
+    producerWrites.failures++;
+  } else {
+    producerWrites.lastSuccessAt = Date.now();
+    producerWrites.failures = 0;
+  }
+}
+
+function withTimeout(promise, timeoutMs, what) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Component checks behind /healthz and /readyz. A check resolves to its details,
+ * with an `error` when the component is unhealthy; a check that throws fails too.
+ *
+ * Liveness covers what a restart can fix: an unreachable or locked database and
+ * consumer group loops that died or completed no round within `staleIntervals`
+ * of their interval. Only the `liveGroups` ("topic/group" keys, all groups when
+ * null) count for liveness: a webhook group waiting on a slow endpoint is stuck
+ * just the same after a restart. Readiness adds worker startup, producer write
+ * errors, consumer lag over `maxLag` and an unwritable parquet directory.
+ */
+export function createHealthChecks({
+  db,
+  admin,
+  producer,
+  parquetDir,
+  getWorker,
+  liveGroups = null,
+  staleIntervals = 3,
+  maxLag = 100_000,
+  timeoutMs = 2000,
+  now = Date.now,
+}) {
+  const firstSeen = new Map(); // key: "topic/group", value: when a check first saw it without a round
+
+  function isoTime(ms) {
+    return ms === null ? null : new Date(ms).toISOString();
+  }
+
+  // A write transaction, so a database locked by another writer fails rather than
+  // only readable; it commits nothing
+  async function database() {
+    const startedAt = performance.now();
+    await withTimeout(db.batch(["SELECT 1"], "write"), timeoutMs, "Database write lock");
+    return { latencyMs: Math.round(performance.now() - startedAt) };
+  }
+
+  function groupProblem(group) {
+    if (group.state === "failed") return `stopped: ${group.lastError}`;
+    if (group.state !== "running") return null;
+
+    // A group still in its first round is measured from when a check first saw it
+    const key = `${group.topic}/${group.group}`;
+    if (group.lastRunAt === null && !firstSeen.has(key)) firstSeen.set(key, now());
+    const since = now() - (group.lastRunAt ?? firstSeen.get(key));
+    if (since <= group.intervalMs * staleIntervals) return null;
+    return `no completed round in ${Math.round(since / 1000)}s`;
+  }
+
+  async function groups({ requireWorker, only = null }) {
+    const { worker, error } = getWorker();
+    if (error) return { error: `Worker failed to start: ${error.message}` };
+    if (!worker) return requireWorker ? { error: "Worker is still starting" } : { starting: true };
+
+    const checked = worker
+      .status()
+      .filter((group) => only === null || only.includes(`${group.topic}/${group.group}`));
+    const statuses = checked.map((group) => ({
+      topic: group.topic,
+      group: group.group,
+      state: group.state,
+      lastRunAt: isoTime(group.lastRunAt),
+      lastError: group.lastError,
+      problem: groupProblem(group),
+    }));
+    const stalled = statuses.filter((group) => group.problem);
+    if (stalled.length === 0) return { groups: statuses };
+
+    const problems = stalled.map((group) => `${group.topic}/${group.group} ${group.problem}`);
+    return { error: `Consumer groups not running: ${problems.join("; ")}`, groups: statuses };
+  }
+
+  // Failing from a failed write until a later one succeeds
+  async function producerWritesCheck() {
+    const { lastSuccessAt, lastErrorAt, lastError, failures } = producerWrites;
+    return {
+      ...(failures > 0 ? { error: `${failures} producer writes failed in a row: ${lastError}` } : {}),
+      pending: producer.pending().messages,
+      lastSuccessAt: isoTime(lastSuccessAt),
+      lastErrorAt: isoTime(lastErrorAt),
+    };
+  }
+
+  // Only groups on this replica's worker: offsets stay behind for groups that are
+  // paused, or that were removed from the config file
+  async function lag() {
+    const { worker } = getWorker();
+    const running = new Set(worker?.status().map((group) => `${group.topic}/${group.group}`));
+
+    const offsets = await withTimeout(admin.listGroupOffsets(), timeoutMs, "Reading group offsets");
+    const totals = {}; // key: "topic/group", value: lag summed over partitions
+    for (const { group, topic, lag } of offsets) {
+      const key = `${topic}/${group}`;
+      if (running.has(key)) totals[key] = (totals[key] ?? 0) + lag;
+    }
+
+    const behind = Object.keys(totals).filter((key) => totals[key] > maxLag);
+    return {
+      ...(behind.length > 0
+        ? { error: `Consumer groups more than ${maxLag} messages behind: ${behind.join(", ")}` }
+        : {}),
+      maxLag,
+      lag: totals,
+    };
+  }
+
+  // Created if missing, as the parquet writer would; fs.access reports read-only mounts too
+  async function parquet() {
+    await fs.promises.mkdir(parquetDir, { recursive: true });
+    await fs.promises.access(parquetDir, fs.constants.W_OK);
+    return { dir: parquetDir };
+  }
+
+  async function run(checks) {
+    const results = {};
+    await Promise.all(
+      Object.entries(checks).map(async ([name, check]) => {
+        try {
+          const { error, ...details } = await check();
+          results[name] = error ? { status: "fail", error, ...details } : { status: "ok", ...details };
+        } catch (err) {
+          results[name] = { status: "fail", error: err.message };
+        }
+      })
+    );
+    const ok = Object.values(results).every((result) => result.status === "ok");
+    return { status: ok ? "ok" : "fail", checks: results };
+  }
+
+  return {
+    liveness: () =>
+      run({ database, groups: () => groups({ requireWorker: false, only: liveGroups }) }),
+    readiness: () =>
+      run({
+        database,
+        groups: () => groups({ requireWorker: true }),
+        producer: producerWritesCheck,
+        lag,
+        parquet,
+      }),
+  };
+}
@@ -1,19 +1,43 @@
 import express from "express";
 import bodyParser from "body-parser";
-import { analyticsProducer, db } from "./db/db.js";
-import { writeBatchToParquet } from "./db/parquet.js";
+import { config } from "./config.js";
+import {
+  admin,
+  analyticsProducer,
+  db,
+  ensureAnalyticsTopic,
+  ANALYTICS_PARTITIONS,
+} from "./db/db.js";
+import {
+  createParquetSink,
+  writeBatchToParquet,
+  PARQUET_DIR,
+} from "./db/parquet.js";
+import { exportNewMessages, exportOnce } from "./db/ledger.js";
+import { recoverCompaction, startCompactor } from "./db/compaction.js";
+import { closeDuckDB } from "./db/duckdb.js";
+import { createRollupSink } from "./db/rollups.js";
+import { startGroupSync } from "./db/consumerGroups.js";
+import { recordDelivery } from "./db/queueMetrics.js";
 import cors from "cors";
+import { createHealthChecks } from "./health.js";
 import { startWorker } from "./klite/src/worker.js";
+import { requireInternal } from "./middleware/auth.js";
+import adminRouter from "./routes/admin.js";
+import analyticsRouter from "./routes/analytics.js";
+import ingestRouter, { ingestBackpressure, MAX_BODY_SIZE } from "./routes/ingest.js";
+import metricsRouter from "./routes/metrics.js";
 
 const app = express();
 
-app.use(bodyParser.json());
+// Ingestion batches and /export deliveries need more than the default 100kb
+app.use(bodyParser.json({ limit: MAX_BODY_SIZE }));
 
 app.use(
   cors({
-    origin: "http://localhost:1420",
+    origin: config.cors.origin,
     methods: ["GET", "POST", "OPTIONS"],
-    allowedHeaders: ["Content-Type"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-API-Key"],
   })
 );
 
@@ -21,48 +45,35 @@ app.get("/", async (req, res) => {
   res.send("working");
 });
 
-app.post("/", async (req, res) => {
-  console.log(req.body);
-
-  if (Array.isArray(req.body.messages) && req.body.messages.length > 0) {
-    const first = req.body.messages[0];
-    if (first && first.data) console.log(first.data);
-    else console.log(first);
-  } else if (req.body.data) {
-    // console.log(req.body.data);
-  } else {
-    const { deviceId, appVersion, platform, architecture, timestamp } =
-      req.body;
-    if (deviceId || appVersion || platform || architecture || timestamp) {
-      console.log({ deviceId, appVersion, platform, architecture, timestamp });
-    }
-  }
-  try {
-    const { deviceId, appVersion, platform, architecture, timestamp } =
-      req.body;
-
-    if (!deviceId || !appVersion || !platform || !architecture) {
-      return res.status(400).json({ message: "Missing required fields" });
-    }
+let worker;
+let workerError = null;
 
-    const logEntry = {
-      deviceId,
-      appVersion,
-      platform,
-      architecture,
-      timestamp: timestamp || new Date().toISOString(),
-    };
+const health = createHealthChecks({
+  db,
+  admin,
+  producer: analyticsProducer,
+  parquetDir: PARQUET_DIR,
+  getWorker: () => ({ worker, error: workerError }),
+  // Stored webhook groups depend on their endpoints, which a restart can't fix
+  liveGroups: Object.keys(config.consumerGroups).map((name) => `analytics/${name}`),
+  ...config.health,
+});
 
-    const { offset } = await analyticsProducer.send("analytics", 0, logEntry);
+// Unauthenticated, for container healthchecks and load balancers; 503 when any check fails
+app.get("/healthz", async (req, res) => {
+  const result = await health.liveness();
+  res.status(result.status === "ok" ? 200 : 503).json(result);
+});
 
-    res.status(201).json({ message: "Analytics stored", offset });
-  } catch (err) {
-    console.error("Send error:", err);
-    res.status(500).json({ message: "Queue error" });
-  }
+app.get("/readyz", async (req, res) => {
+  const result = await health.readiness();
+  res.status(result.status === "ok" ? 200 : 503).json(result);
 });
 
-app.post("/export", async (req, res) => {
+app.use("/", ingestRouter);
+
+// Operator-only: writes parquet directly, so it takes the internal credential rather than an API key
+app.post("/export", requireInternal, async (req, res) => {
   try {
     const payload = req.body;
     if (!payload || !payload.messages || !Array.isArray(payload.messages)) {
@@ -71,11 +82,30 @@ app.post("/export", async (req, res) => {
         .json({ message: "Invalid payload: messages array required" });
     }
 
-    const { file, count } = await writeBatchToParquet(payload.messages);
+    // Worker batches carry their group, partition and offsets: messages the group
+    // exported before are skipped, even when a redelivery spans a different range.
+    // Other clients can send an Idempotency-Key to make a retry a no-op
+    const { group, topic, partition, messages } = payload;
+    const fromConsumer =
+      typeof group === "string" &&
+      typeof topic === "string" &&
+      Number.isInteger(partition) &&
+      messages.every((msg) => Number.isInteger(msg?.offset));
+
+    const batchId = req.get("Idempotency-Key") || payload.batchId;
+    const { files, count, duplicate } = fromConsumer
+      ? await exportNewMessages({ group, topic, partition, messages }, writeBatchToParquet)
+      : await exportOnce(batchId, () => writeBatchToParquet(messages));
+
+    if (duplicate) {
+      return res
+        .status(200)
+        .json({ message: "Already exported", files, count, duplicate });
+    }
 
     return res
       .status(201)
-      .json({ message: "Exported to parquet", file, count });
+      .json({ message: "Exported to parquet", files, count });
   } catch (err) {
     console.error("/export error:", err);
     return res
@@ -84,24 +114,90 @@ app.post("/export", async (req, res) => {
   }
 });
 
-const config = {
+app.use("/admin", requireInternal, adminRouter);
+app.use("/analytics", analyticsRouter);
+app.use("/metrics", requireInternal, metricsRouter);
+
+// Consumer groups without explicit partitions read all of them
+const workerConfig = {
   topics: {
     analytics: {
-      consumerGroups: {
-        default: {
-          partitions: [0],
-          endpoint: "http://localhost:8000/export",
-          batchSize: 50,
-          interval: "5s",
-        },
-      },
+      consumerGroups: Object.fromEntries(
+        Object.entries(config.consumerGroups).map(([name, group]) => [
+          name,
+          {
+            partitions: Array.from({ length: ANALYTICS_PARTITIONS }, (_, i) => i),
+            ...group,
+          },
+        ])
+      ),
     },
   },
+  cleaner: config.cleaner,
 };
 
-app.listen(8000, async () => {
-  await startWorker({ db, config })
-    .then(() => console.log("Worker running"))
-    .catch((err) => console.error("Worker error:", err));
-  console.log("Server running at port 8000");
+let groupSync;
+let compactor;
+
+// A compaction cut short by a crash leaves rows in two files until it is recovered
+recoverCompaction();
+
+const server = app.listen(config.port, async () => {
+  console.log(`Server running at port ${config.port}`);
+  if (config.file) console.log(`Loaded config from ${config.file}`);
+  try {
+    await ensureAnalyticsTopic();
+    worker = await startWorker({
+      db,
+      config: workerConfig,
+      sinks: { parquet: createParquetSink, rollup: createRollupSink },
+      onDelivery: recordDelivery,
+    });
+    await worker.ready;
+    console.log("Worker running");
+
+    // Consumer groups managed through /admin/groups
+    groupSync = startGroupSync(worker);
+
+    // Reject ingestion while the consumer groups fall too far behind
+    ingestBackpressure.start();
+
+    // Merge the small per-batch files the parquet sink produces
+    compactor = startCompactor({ intervalMs: config.compaction.intervalMs });
+  } catch (err) {
+    console.error("Worker error:", err);
+    workerError = err;
+  }
 });
+
+let shuttingDown = false;
+
+// Stop taking requests, persist queued events, then let the worker finish its in-flight batches
+async function shutdown(signal) {
+  if (shuttingDown) {
+    console.log(`${signal} received again, exiting immediately`);
+    process.exit(1);
+  }
+  shuttingDown = true;
+  console.log(`${signal} received, shutting down...`);
+
+  try {
+    await new Promise((resolve) => {
+      server.close(resolve);
+      server.closeIdleConnections();
+    });
+    await analyticsProducer.flush();
+    ingestBackpressure.stop();
+    await groupSync?.stop();
+    await worker?.stop();
+    await compactor?.stop();
+    await closeDuckDB();
+    process.exit(0);
+  } catch (err) {
+    console.error("Shutdown error:", err);
+    process.exit(1);
+  }
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
@@ -0,0 +1,267 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createClient } from '@libsql/client';
+import { createProducer } from '../src/producer.js';
+import { createConsumer } from '../src/consumer.js';
+import { createAdmin } from '../src/admin.js';
+import { createMembership } from '../src/membership.js';
+
+describe('Admin', () => {
+  let db;
+  let producer;
+  let admin;
+
+  beforeEach(async () => {
+    db = createClient({
+      url: ':memory:'
+    });
+    producer = createProducer({ db, batchDelay: 0 });
+    admin = createAdmin({ db });
+  });
+
+  describe('createTopic', () => {
+    it('should register the topic and create its partition tables', async () => {
+      const topic = await admin.createTopic('orders', {
+        partitions: 3,
+        retention: { maxAgeMs: 86400000 }
+      });
+
+      expect(topic.name).toBe('orders');
+      expect(topic.partitions).toBe(3);
+      expect(topic.retention).toEqual({ maxAgeMs: 86400000 });
+
+      const tables = await db.execute(
+        "SELECT name FROM sqlite_master WHERE type='table' AND name LIKE 'klite_orders_%' ORDER BY name"
+      );
+      expect(tables.rows.map(r => r.name)).toEqual(['klite_orders_0', 'klite_orders_1', 'klite_orders_2']);
+    });
+
+    it('should default to a single partition', async () => {
+      const topic = await admin.createTopic('orders');
+      expect(topic.partitions).toBe(1);
+      expect(topic.retention).toEqual({});
+    });
+
+    it('should reject duplicate topics', async () => {
+      await admin.createTopic('orders');
+      await expect(admin.createTopic('orders')).rejects.toThrow('Topic orders already exists');
+    });
+
+    it('should reject unsafe topic names', async () => {
+      await expect(admin.createTopic('orders"; DROP TABLE x; --')).rejects.toThrow('Invalid topic name');
+      await expect(admin.createTopic('')).rejects.toThrow('Invalid topic name');
+    });
+
+    it('should reject invalid partition counts and retention settings', async () => {
+      await expect(admin.createTopic('orders', { partitions: 0 })).rejects.toThrow('Partition count');
+      await expect(admin.createTopic('orders', { retention: { maxAgeMs: -1 } })).rejects.toThrow('maxAgeMs');
+      await expect(admin.createTopic('orders', { retention: { forever: true } })).rejects.toThrow('Unknown retention setting');
+    });
+
+    it('should drive the partition count used by keyed sends', async () => {
+      await admin.createTopic('events', { partitions: 4 });
+
+      const results = await Promise.all(
+        Array.from({ length: 40 }, (_, i) => producer.send('events', { key: `device-${i}`, value: { i } }))
+      );
+
+      expect(new Set(results.map(r => r.partition)).size).toBeGreaterThan(1);
+    });
+  });
+
+  describe('setRetention', () => {
+    it('should replace the retention settings of a topic', async () => {
+      await admin.createTopic('orders', { retention: { maxRows: 10 } });
+
+      const topic = await admin.setRetention('orders', { deleteCommitted: true, compact: true });
+
+      expect(topic.retention).toEqual({ deleteCommitted: true, compact: true });
+    });
+
+    it('should reject non-boolean flags', async () => {
+      await admin.createTopic('orders');
+      await expect(admin.setRetention('orders', { compact: 'yes' })).rejects.toThrow('must be a boolean');
+    });
+
+    it('should throw for unknown topics', async () => {
+      await expect(admin.setRetention('missing', {})).rejects.toThrow('Unknown topic: missing');
+    });
+  });
+
+  describe('listTopics', () => {
+    it('should list registered topics by name', async () => {
+      await admin.createTopic('orders', { partitions: 2 });
+      await admin.createTopic('events');
+
+      const topics = await admin.listTopics();
+
+      expect(topics.map(t => [t.name, t.partitions])).toEqual([['events', 1], ['orders', 2]]);
+    });
+
+    it('should return an empty list when nothing is registered', async () => {
+      expect(await admin.listTopics()).toEqual([]);
+    });
+  });
+
+  describe('describeTopic', () => {
+    it('should report per-partition statistics', async () => {
+      await admin.createTopic('orders', { partitions: 2 });
+      await producer.send('orders', 0, { id: 1 });
+      await producer.send('orders', 0, { id: 2 });
+
+      const description = await admin.describeTopic('orders');
+
+      expect(description.registered).toBe(true);
+      expect(description.partitionDetails).toHaveLength(2);
+      expect(description.partitionDetails[0]).toMatchObject({
+        partition: 0,
+        highWaterMark: 2,
+        messageCount: 2
+      });
+      expect(description.partitionDetails[0].oldest).toBeDefined();
+      expect(description.partitionDetails[1]).toEqual({
+        partition: 1,
+        highWaterMark: 0,
+        messageCount: 0,
+        oldest: null,
+        newest: null
+      });
+    });
+
+    it('should keep the high-water mark after rows are deleted', async () => {
+      await producer.send('orders', 0, { id: 1 });
+      await producer.send('orders', 0, { id: 2 });
+      await db.execute('DELETE FROM klite_orders_0');
+
+      const description = await admin.describeTopic('orders');
+
+      expect(description.partitionDetails[0].highWaterMark).toBe(2);
+      expect(description.partitionDetails[0].messageCount).toBe(0);
+    });
+
+    it('should describe topics created implicitly by a producer', async () => {
+      await producer.send('implicit', 0, { id: 1 });
+      await producer.send('implicit', 2, { id: 2 });
+      await producer.send('implicit_other', 0, { id: 3 });
+
+      const description = await admin.describeTopic('implicit');
+
+      expect(description.registered).toBe(false);
+      expect(description.partitionDetails.map(p => p.partition)).toEqual([0, 2]);
+    });
+
+    it('should throw for unknown topics', async () => {
+      await expect(admin.describeTopic('missing')).rejects.toThrow('Unknown topic: missing');
+    });
+  });
+
+  describe('deleteTopic', () => {
+    it('should drop partition tables, registry entry and offsets', async () => {
+      await admin.createTopic('orders', { partitions: 2 });
+      await producer.send('orders', 0, { id: 1 });
+
+      const consumer = createConsumer({ db, group: 'g' });
+      await consumer.commit('orders', 0, 1);
+
+      const result = await admin.deleteTopic('orders');
+
+      expect(result.droppedPartitions).toEqual([0, 1]);
+      expect(await admin.listTopics()).toEqual([]);
+
+      const tables = await db.execute(
+        "SELECT name FROM sqlite_master WHERE type='table' AND name LIKE 'klite_orders_%'"
+      );
+      expect(tables.rows.length).toBe(0);
+
+      const offsets = await db.execute("SELECT * FROM klite_consumer_offsets WHERE topic = 'orders'");
+      expect(offsets.rows.length).toBe(0);
+    });
+
+    it('should throw for unknown topics', async () => {
+      await expect(admin.deleteTopic('missing')).rejects.toThrow('Unknown topic: missing');
+    });
+  });
+
+  describe('listGroupOffsets', () => {
+    it('should be empty before any consumer commits', async () => {
+      expect(await admin.listGroupOffsets()).toEqual([]);
+    });
+
+    it('should list committed offsets with their lag', async () => {
+      await admin.createTopic('orders', { partitions: 2 });
+      for (let i = 0; i < 3; i++) await producer.send('orders', 0, { id: i });
+      await producer.send('orders', 1, { id: 3 });
+
+      await createConsumer({ db, group: 'billing' }).commit('orders', 0, 1);
+      await createConsumer({ db, group: 'shipping' }).commit('orders', 1, 1);
+
+      expect(await admin.listGroupOffsets()).toEqual([
+        { group: 'billing', topic: 'orders', partition: 0, committedOffset: 1, highWaterMark: 3, lag: 2 },
+        { group: 'shipping', topic: 'orders', partition: 1, committedOffset: 1, highWaterMark: 1, lag: 0 }
+      ]);
+    });
+  });
+
+  describe('deleteGroupOffsets', () => {
+    it('should delete only the group\'s offsets on the topic', async () => {
+      await admin.createTopic('orders', { partitions: 2 });
+      await admin.createTopic('payments');
+      await createConsumer({ db, group: 'billing' }).commit('orders', 0, 1);
+      await createConsumer({ db, group: 'billing' }).commit('orders', 1, 1);
+      await createConsumer({ db, group: 'billing' }).commit('payments', 0, 1);
+      await createConsumer({ db, group: 'shipping' }).commit('orders', 0, 1);
+
+      const result = await admin.deleteGroupOffsets('billing', 'orders');
+
+      expect(result).toEqual({ group: 'billing', topic: 'orders', deletedPartitions: 2 });
+      const remaining = (await admin.listGroupOffsets()).map(({ group, topic }) => `${group}/${topic}`);
+      expect(remaining).toEqual(['billing/payments', 'shipping/orders']);
+    });
+
+    it('should do nothing before any consumer commits', async () => {
+      expect(await admin.deleteGroupOffsets('billing', 'orders')).toEqual({
+        group: 'billing',
+        topic: 'orders',
+        deletedPartitions: 0
+      });
+    });
+  });
+
+  describe('deleteGroup', () => {
+    async function rows(table) {
+      const result = await db.execute(
+        `SELECT consumer_group, topic FROM ${table} ORDER BY consumer_group, topic`
+      );
+      return result.rows.map(row => `${row.consumer_group}/${row.topic}`);
+    }
+
+    it('should delete the group\'s offsets, members and partition leases on the topic', async () => {
+      await admin.createTopic('orders', { partitions: 2 });
+      await createConsumer({ db, group: 'billing' }).commit('orders', 0, 1);
+      await createConsumer({ db, group: 'shipping' }).commit('orders', 0, 1);
+      const joined = [['billing', 'orders'], ['billing', 'payments'], ['shipping', 'orders']];
+      for (const [group, topic] of joined) {
+        await createMembership({ db, group, topic, memberId: 'a' }).sync([0, 1]);
+      }
+
+      const result = await admin.deleteGroup('billing', 'orders');
+
+      expect(result).toEqual({ group: 'billing', topic: 'orders', deletedPartitions: 1 });
+      expect((await admin.listGroupOffsets()).map(({ group }) => group)).toEqual(['shipping']);
+      expect(await rows('klite_group_members')).toEqual(['billing/payments', 'shipping/orders']);
+      expect(await rows('klite_partition_owners')).toEqual([
+        'billing/payments',
+        'billing/payments',
+        'shipping/orders',
+        'shipping/orders'
+      ]);
+    });
+
+    it('should do nothing before any consumer commits or joins', async () => {
+      expect(await admin.deleteGroup('billing', 'orders')).toEqual({
+        group: 'billing',
+        topic: 'orders',
+        deletedPartitions: 0
+      });
+    });
+  });
+});
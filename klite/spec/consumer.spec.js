@@ -33,6 +33,16 @@ describe('Consumer', () => {
       expect(messages[2].offset).toBe(3);
     });
 
+    it('should return message keys', async () => {
+      await producer.send('test', { key: 'device-1', value: { msg: 1 } });
+      await producer.send('test', 0, { msg: 2 });
+
+      const messages = await consumer.fetch('test', 0);
+
+      expect(messages[0].key).toBe('device-1');
+      expect(messages[1].key).toBeNull();
+    });
+
     it('should respect maxMessages option', async () => {
       for (let i = 1; i <= 10; i++) {
         await producer.send('test', 0, { msg: i });
@@ -81,6 +91,54 @@ describe('Consumer', () => {
     });
   });
 
+  describe('long polling', () => {
+    it('should return as soon as a message is produced', async () => {
+      const started = Date.now();
+      const pending = consumer.fetch('test', 0, { waitMs: 1000 });
+
+      await new Promise(resolve => setTimeout(resolve, 20));
+      await producer.send('test', 0, { msg: 1 });
+
+      const messages = await pending;
+
+      expect(messages.map(m => m.data)).toEqual([{ msg: 1 }]);
+      expect(Date.now() - started).toBeLessThan(500);
+    });
+
+    it('should return existing messages without waiting', async () => {
+      await producer.send('test', 0, { msg: 1 });
+
+      const messages = await consumer.fetch('test', 0, { waitMs: 1000 });
+      expect(messages.length).toBe(1);
+    });
+
+    it('should return an empty array when the wait ends', async () => {
+      const started = Date.now();
+      const messages = await consumer.fetch('test', 0, { waitMs: 30 });
+
+      expect(messages).toEqual([]);
+      expect(Date.now() - started).toBeGreaterThanOrEqual(25);
+    });
+
+    it('should ignore writes to other partitions', async () => {
+      const pending = consumer.fetch('test', 0, { waitMs: 50 });
+      await producer.send('test', 1, { msg: 1 });
+
+      expect(await pending).toEqual([]);
+    });
+
+    it('should stop waiting when the signal aborts', async () => {
+      const abortController = new AbortController();
+      const started = Date.now();
+      const pending = consumer.fetch('test', 0, { waitMs: 1000, signal: abortController.signal });
+
+      abortController.abort();
+
+      expect(await pending).toEqual([]);
+      expect(Date.now() - started).toBeLessThan(500);
+    });
+  });
+
   describe('commit', () => {
     it('should commit offset for a partition', async () => {
       await producer.send('test', 0, { msg: 1 });
@@ -149,6 +207,102 @@ describe('Consumer', () => {
     });
   });
 
+  describe('seek', () => {
+    beforeEach(async () => {
+      for (let i = 1; i <= 5; i++) {
+        await producer.send('test', 0, { msg: i });
+      }
+    });
+
+    it('should start the next fetch at the given offset', async () => {
+      await consumer.commit('test', 0, 5);
+      await consumer.seek('test', 0, 3);
+
+      const messages = await consumer.fetch('test', 0);
+      expect(messages.map(m => m.offset)).toEqual([3, 4, 5]);
+    });
+
+    it('should reject invalid offsets', async () => {
+      await expect(consumer.seek('test', 0, -1)).rejects.toThrow('Invalid offset');
+      await expect(consumer.seek('test', 0, 1.5)).rejects.toThrow('Invalid offset');
+    });
+
+    it('should seek to the oldest retained message', async () => {
+      await db.execute('DELETE FROM klite_test_0 WHERE id <= 2');
+      await consumer.commit('test', 0, 5);
+
+      const position = await consumer.seekToBeginning('test', 0);
+      const messages = await consumer.fetch('test', 0);
+
+      expect(position.offset).toBe(3);
+      expect(messages[0].offset).toBe(3);
+    });
+
+    it('should seek past the last message', async () => {
+      const position = await consumer.seekToEnd('test', 0);
+
+      expect(position.offset).toBe(6);
+      expect(await consumer.fetch('test', 0)).toEqual([]);
+
+      await producer.send('test', 0, { msg: 6 });
+      const messages = await consumer.fetch('test', 0);
+      expect(messages.map(m => m.offset)).toEqual([6]);
+    });
+
+    it('should seek to the first message at or after a timestamp', async () => {
+      await db.execute(`UPDATE klite_test_0 SET created = '2024-01-01 00:00:00' WHERE id <= 2`);
+      await db.execute(`UPDATE klite_test_0 SET created = '2024-01-02 12:00:00' WHERE id > 2`);
+      await consumer.commit('test', 0, 5);
+
+      const position = await consumer.seekToTimestamp('test', 0, '2024-01-02T00:00:00Z');
+
+      expect(position.offset).toBe(3);
+    });
+
+    it('should seek to the end when no message is newer than the timestamp', async () => {
+      const position = await consumer.seekToTimestamp('test', 0, Date.now() + 60000);
+      expect(position.offset).toBe(6);
+    });
+
+    it('should reject invalid timestamps', async () => {
+      await expect(consumer.seekToTimestamp('test', 0, 'not a date')).rejects.toThrow('Invalid timestamp');
+    });
+  });
+
+  describe('lag', () => {
+    it('should report high-water mark minus committed offset', async () => {
+      for (let i = 1; i <= 5; i++) {
+        await producer.send('test', 0, { msg: i });
+      }
+      await consumer.commit('test', 0, 2);
+
+      expect(await consumer.lag('test', 0)).toEqual({
+        topic: 'test',
+        partition: 0,
+        committedOffset: 2,
+        highWaterMark: 5,
+        lag: 3
+      });
+    });
+
+    it('should count every retained message before the first commit', async () => {
+      await producer.send('test', 0, { msg: 1 });
+      await producer.send('test', 0, { msg: 2 });
+
+      const { committedOffset, lag } = await consumer.lag('test', 0);
+
+      expect(committedOffset).toBeNull();
+      expect(lag).toBe(2);
+    });
+
+    it('should report zero lag for missing partitions', async () => {
+      const { highWaterMark, lag } = await consumer.lag('missing', 0);
+
+      expect(highWaterMark).toBe(0);
+      expect(lag).toBe(0);
+    });
+  });
+
   describe('consumer groups', () => {
     it('should track offsets independently per consumer group', async () => {
       const consumer1 = createConsumer({ db, group: 'group1' });
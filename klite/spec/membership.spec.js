@@ -0,0 +1,249 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createClient } from '@libsql/client';
+import { createProducer } from '../src/producer.js';
+import { createMembership } from '../src/membership.js';
+import { startWorker } from '../src/worker.js';
+
+describe('Membership', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = createClient({
+      url: ':memory:'
+    });
+  });
+
+  function member(memberId, sessionTimeoutMs = 30000) {
+    return createMembership({ db, group: 'group1', topic: 'test', memberId, sessionTimeoutMs });
+  }
+
+  const partitions = [0, 1, 2, 3];
+
+  it('should give a single member every partition', async () => {
+    const { members, owned } = await member('a').sync(partitions);
+
+    expect(members).toEqual(['a']);
+    expect(owned).toEqual([0, 1, 2, 3]);
+  });
+
+  it('should split partitions between live members', async () => {
+    const a = member('a');
+    const b = member('b');
+
+    await a.sync(partitions);
+    // b joins but a still owns everything until it syncs again
+    expect((await b.sync(partitions)).owned).toEqual([]);
+
+    expect((await a.sync(partitions)).owned).toEqual([0, 2]);
+    expect((await b.sync(partitions)).owned).toEqual([1, 3]);
+  });
+
+  it('should hand partitions over when a member leaves', async () => {
+    const a = member('a');
+    const b = member('b');
+    await a.sync(partitions);
+    await b.sync(partitions);
+    await a.sync(partitions);
+
+    await a.leave();
+
+    expect((await b.sync(partitions)).owned).toEqual([0, 1, 2, 3]);
+  });
+
+  it('should rebalance once a member lease expires', async () => {
+    const a = member('a', 30);
+    const b = member('b', 30);
+    await a.sync(partitions);
+    await b.sync(partitions);
+    await a.sync(partitions);
+
+    // a stops heartbeating
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const { members, owned } = await b.sync(partitions);
+    expect(members).toEqual(['b']);
+    expect(owned).toEqual([0, 1, 2, 3]);
+  });
+
+  it('should keep leases that are renewed without syncing', async () => {
+    const a = member('a', 60);
+    const b = member('b', 60);
+    await a.sync(partitions);
+
+    for (let i = 0; i < 3; i++) {
+      await new Promise(resolve => setTimeout(resolve, 30));
+      await a.renew();
+    }
+
+    expect((await b.sync(partitions)).owned).toEqual([]);
+    expect(await a.holds(0)).toBe(true);
+  });
+
+  it('should report a lease another member took over', async () => {
+    const a = member('a', 30);
+    const b = member('b', 30);
+    await a.sync(partitions);
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect((await b.sync(partitions)).owned).toEqual([0, 1, 2, 3]);
+
+    expect(await a.holds(0)).toBe(false);
+  });
+
+  it('should keep groups and topics independent', async () => {
+    await member('a').sync(partitions);
+    const other = createMembership({ db, group: 'group2', topic: 'test', memberId: 'b' });
+
+    expect((await other.sync(partitions)).owned).toEqual([0, 1, 2, 3]);
+  });
+
+  it('should not deliver a partition twice across workers', async () => {
+    const consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const producer = createProducer({ db, batchDelay: 0 });
+    for (const partition of partitions) {
+      await producer.send('test', partition, { partition });
+    }
+
+    const delivered = [];
+    const groupConfig = (memberId) => ({
+      topics: {
+        test: {
+          consumerGroups: {
+            group1: {
+              partitions,
+              membership: { memberId, sessionTimeout: '1s', heartbeat: '20ms' },
+              sink: { type: 'function', handler: async (batch) => { delivered.push([memberId, batch.partition]); } },
+              batchSize: 10,
+              interval: '10s'
+            }
+          }
+        }
+      }
+    });
+
+    const first = await startWorker({ db, config: groupConfig('a') });
+    const second = await startWorker({ db, config: groupConfig('b') });
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    expect(delivered.map(([, partition]) => partition).sort()).toEqual([0, 1, 2, 3]);
+    expect(second.status()[0].assignedPartitions).toEqual([1, 3]);
+    expect(first.status()[0].assignedPartitions).toEqual([0, 2]);
+
+    await first.stop();
+    await second.stop();
+    consoleSpy.mockRestore();
+  });
+
+  it('should keep the lease of a delivery that runs longer than the session', async () => {
+    const consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const producer = createProducer({ db, batchDelay: 0 });
+    await producer.send('test', 0, { n: 1 });
+
+    const other = member('b', 100);
+    const claimed = [];
+    const worker = await startWorker({
+      db,
+      config: {
+        topics: {
+          test: {
+            consumerGroups: {
+              group1: {
+                partitions: [0],
+                membership: { memberId: 'a', sessionTimeout: '100ms', heartbeat: '20ms' },
+                sink: {
+                  type: 'function',
+                  handler: async () => {
+                    // Another member keeps trying to take the partition over
+                    for (let i = 0; i < 6; i++) {
+                      await new Promise(resolve => setTimeout(resolve, 50));
+                      claimed.push(...(await other.sync([0])).owned);
+                    }
+                  }
+                },
+                batchSize: 10,
+                interval: '10s'
+              }
+            }
+          }
+        }
+      }
+    });
+    await worker.ready;
+    await worker.stop();
+
+    expect(claimed).toEqual([]);
+    const result = await db.execute("SELECT commit_offset FROM klite_consumer_offsets WHERE consumer_group = 'group1'");
+    expect(result.rows[0].commit_offset).toBe(1);
+    consoleSpy.mockRestore();
+  });
+
+  it('should not commit a batch once another member took its partition over', async () => {
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const producer = createProducer({ db, batchDelay: 0 });
+    await producer.send('test', 0, { n: 1 });
+
+    const worker = await startWorker({
+      db,
+      config: {
+        topics: {
+          test: {
+            consumerGroups: {
+              group1: {
+                partitions: [0],
+                membership: { memberId: 'a' },
+                sink: {
+                  type: 'function',
+                  // As if the lease expired during a stall and member b claimed it
+                  handler: async () => {
+                    await db.execute("UPDATE klite_partition_owners SET member_id = 'b'");
+                  }
+                },
+                batchSize: 10,
+                interval: '10s'
+              }
+            }
+          }
+        }
+      }
+    });
+    await worker.ready;
+    await worker.stop();
+
+    const result = await db.execute("SELECT commit_offset FROM klite_consumer_offsets WHERE consumer_group = 'group1'");
+    expect(result.rows).toEqual([]);
+    expect(warnSpy).toHaveBeenCalledWith('[test:0] Lease lost to another member of group1, batch not committed');
+    logSpy.mockRestore();
+    warnSpy.mockRestore();
+  });
+
+  it('should take partitions from the topic registry when none are configured', async () => {
+    await db.execute("CREATE TABLE klite_topics (name VARCHAR PRIMARY KEY, partitions INTEGER NOT NULL, retention TEXT NOT NULL DEFAULT '{}', created_at DATETIME)");
+    await db.execute("INSERT INTO klite_topics (name, partitions) VALUES ('test', 3)");
+    const consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    const worker = await startWorker({
+      db,
+      config: {
+        topics: {
+          test: {
+            consumerGroups: {
+              group1: {
+                membership: { memberId: 'a' },
+                sink: { type: 'function', handler: async () => {} },
+                batchSize: 10,
+                interval: '10s'
+              }
+            }
+          }
+        }
+      }
+    });
+    await worker.ready;
+
+    expect(worker.status()[0].assignedPartitions).toEqual([0, 1, 2]);
+
+    await worker.stop();
+    consoleSpy.mockRestore();
+  });
+});
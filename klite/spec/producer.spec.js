@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { createClient } from '@libsql/client';
 import { createProducer } from '../src/producer.js';
 import { decode } from '@msgpack/msgpack';
@@ -76,6 +76,74 @@ describe('Producer', () => {
     });
   });
 
+  describe('keyed send', () => {
+    beforeEach(() => {
+      producer = createProducer({ db, batchDelay: 5, topics: { events: { partitions: 4 } } });
+    });
+
+    it('should store the key alongside the data', async () => {
+      const { partition, offset } = await producer.send('events', { key: 'device-1', value: { n: 1 } });
+
+      const result = await db.execute(`SELECT * FROM klite_events_${partition} WHERE id = ${offset}`);
+
+      expect(result.rows[0].key).toBe('device-1');
+      expect(decode(result.rows[0].data)).toEqual({ n: 1 });
+    });
+
+    it('should route the same key to the same partition', async () => {
+      const first = await producer.send('events', { key: 'device-1', value: { n: 1 } });
+      const second = await producer.send('events', { key: 'device-1', value: { n: 2 } });
+
+      expect(second.partition).toBe(first.partition);
+      expect(second.offset).toBe(first.offset + 1);
+    });
+
+    it('should spread keys over the configured partition count', async () => {
+      const results = await Promise.all(
+        Array.from({ length: 40 }, (_, i) => producer.send('events', { key: `device-${i}`, value: { i } }))
+      );
+      const partitions = new Set(results.map(r => r.partition));
+
+      expect([...partitions].every(p => p >= 0 && p < 4)).toBe(true);
+      expect(partitions.size).toBeGreaterThan(1);
+    });
+
+    it('should round-robin records without a key', async () => {
+      const results = await Promise.all([
+        producer.send('events', { value: { n: 1 } }),
+        producer.send('events', { value: { n: 2 } }),
+        producer.send('events', { value: { n: 3 } })
+      ]);
+
+      expect(results.map(r => r.partition)).toEqual([0, 1, 2]);
+    });
+
+    it('should honour an explicit partition', async () => {
+      const result = await producer.send('events', { key: 'device-1', partition: 3, value: { n: 1 } });
+      expect(result.partition).toBe(3);
+    });
+
+    it('should use a single partition for unconfigured topics', async () => {
+      const result = await producer.send('other', { key: 'device-1', value: { n: 1 } });
+      expect(result.partition).toBe(0);
+    });
+
+    it('should add the key column to tables created without it', async () => {
+      await db.execute(`
+        CREATE TABLE klite_legacy_0 (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          data BLOB NOT NULL,
+          created DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await producer.send('legacy', { key: 'device-1', value: { n: 1 } });
+
+      const result = await db.execute('SELECT key FROM klite_legacy_0');
+      expect(result.rows[0].key).toBe('device-1');
+    });
+  });
+
   describe('sendBatch', () => {
     it('should send multiple messages in a single batch', async () => {
       const messages = [
@@ -125,6 +193,41 @@ describe('Producer', () => {
     });
   });
 
+  describe('sendBatch with keyed records', () => {
+    beforeEach(() => {
+      producer = createProducer({ db, batchDelay: 5, topics: { events: { partitions: 4 } } });
+    });
+
+    it('should return the partition and offset of every record in order', async () => {
+      const records = Array.from({ length: 10 }, (_, i) => ({ key: `device-${i % 3}`, value: { i } }));
+
+      const result = await producer.sendBatch('events', records);
+
+      expect(result.count).toBe(10);
+      expect(result.offsets).toHaveLength(10);
+      for (const [i, { partition, offset }] of result.offsets.entries()) {
+        const row = await db.execute(`SELECT key, data FROM klite_events_${partition} WHERE id = ${offset}`);
+        expect(row.rows[0].key).toBe(`device-${i % 3}`);
+        expect(decode(row.rows[0].data)).toEqual({ i });
+      }
+    });
+
+    it('should keep records with the same key in one partition', async () => {
+      const { offsets } = await producer.sendBatch('events', [
+        { key: 'a', value: 1 },
+        { key: 'a', value: 2 },
+        { key: 'a', value: 3 }
+      ]);
+
+      expect(new Set(offsets.map(o => o.partition)).size).toBe(1);
+      expect(offsets.map(o => o.offset)).toEqual([1, 2, 3]);
+    });
+
+    it('should handle an empty batch', async () => {
+      expect(await producer.sendBatch('events', [])).toEqual({ count: 0, offsets: [] });
+    });
+  });
+
   describe('flush', () => {
     it('should flush all pending batches', async () => {
       const promises = [
@@ -148,6 +251,138 @@ describe('Producer', () => {
     });
   });
 
+  describe('pending', () => {
+    it('should count queued and in-flight messages until they are written', async () => {
+      expect(producer.pending()).toEqual({ batches: 0, messages: 0 });
+
+      const sends = [
+        producer.send('pending-test', 0, { msg: 1 }),
+        producer.send('pending-test', 0, { msg: 2 }),
+        producer.send('pending-test', 1, { msg: 3 })
+      ];
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(producer.pending()).toEqual({ batches: 2, messages: 3 });
+
+      await Promise.all(sends);
+      expect(producer.pending()).toEqual({ batches: 0, messages: 0 });
+    });
+  });
+
+  describe('batch limits', () => {
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    it('should write a batch lingerMs after its first message under steady traffic', async () => {
+      const onWrite = vi.fn();
+      const lingering = createProducer({ db, lingerMs: 30, onWrite });
+
+      const sends = [];
+      for (let i = 0; i < 12; i++) {
+        sends.push(lingering.send('linger', 0, { i }));
+        await sleep(10);
+      }
+
+      // A delay reset by every send would not have written anything yet
+      expect(onWrite.mock.calls.length).toBeGreaterThan(0);
+      await Promise.all(sends);
+    });
+
+    it('should write as soon as a batch reaches maxBatchMessages', async () => {
+      const onWrite = vi.fn();
+      const limited = createProducer({ db, lingerMs: 10_000, maxBatchMessages: 2, onWrite });
+
+      const results = await Promise.all([
+        limited.send('limit', 0, { i: 1 }),
+        limited.send('limit', 0, { i: 2 }),
+        limited.send('limit', 0, { i: 3 }),
+        limited.send('limit', 0, { i: 4 })
+      ]);
+
+      expect(results.map(r => r.offset)).toEqual([1, 2, 3, 4]);
+      expect(onWrite.mock.calls.map(([write]) => write.messages)).toEqual([2, 2]);
+    });
+
+    it('should split batches at maxBatchBytes of encoded values', async () => {
+      const onWrite = vi.fn();
+      const limited = createProducer({ db, lingerMs: 5, maxBatchBytes: 250, onWrite });
+      const value = { text: 'x'.repeat(100) }; // a little over 100 bytes encoded
+
+      await Promise.all(Array.from({ length: 5 }, () => limited.send('bytes', 0, value)));
+
+      expect(onWrite.mock.calls.map(([write]) => write.messages)).toEqual([2, 2, 1]);
+      const stored = await db.execute('SELECT COUNT(*) as count FROM klite_bytes_0');
+      expect(stored.rows[0].count).toBe(5);
+    });
+
+    it('should keep accepting batchDelay as the linger time', async () => {
+      const onWrite = vi.fn();
+      const legacy = createProducer({ db, batchDelay: 50, onWrite });
+
+      const send = legacy.send('legacy-delay', 0, { i: 1 });
+      await sleep(5);
+      expect(onWrite).not.toHaveBeenCalled();
+
+      expect((await send).offset).toBe(1);
+      expect(onWrite).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('maxPendingMessages', () => {
+    it('should make sends wait until earlier messages are written', async () => {
+      const bounded = createProducer({ db, lingerMs: 20, maxPendingMessages: 2 });
+
+      const sends = [1, 2, 3].map(i => bounded.send('bounded', 0, { i }));
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(bounded.pending().messages).toBe(2);
+
+      const results = await Promise.all(sends);
+      expect(results.map(r => r.offset)).toEqual([1, 2, 3]);
+      expect(bounded.pending()).toEqual({ batches: 0, messages: 0 });
+    });
+
+    it('should reject once blockMs passes without room', async () => {
+      const bounded = createProducer({ db, lingerMs: 200, maxPendingMessages: 1, blockMs: 20 });
+
+      const first = bounded.send('bounded', 0, { i: 1 });
+      await expect(bounded.send('bounded', 0, { i: 2 })).rejects.toThrow('Producer queue is full');
+      expect((await first).offset).toBe(1);
+    });
+
+    it('should reject right away with blockMs 0', async () => {
+      const bounded = createProducer({ db, lingerMs: 5, maxPendingMessages: 2, blockMs: 0 });
+
+      const first = bounded.send('bounded', 0, { i: 1 });
+      await expect(bounded.sendBatch('bounded', 0, [{ i: 2 }, { i: 3 }])).rejects.toThrow(
+        'Producer queue is full'
+      );
+      await first;
+
+      const { count } = await bounded.sendBatch('bounded', 0, [{ i: 2 }, { i: 3 }]);
+      expect(count).toBe(2);
+    });
+
+    it('should reject a batch larger than the bound', async () => {
+      const bounded = createProducer({ db, maxPendingMessages: 2 });
+
+      await expect(bounded.sendBatch('bounded', [{ value: 1 }, { value: 2 }, { value: 3 }]))
+        .rejects.toThrow('would exceed maxPendingMessages');
+    });
+  });
+
+  describe('onWrite', () => {
+    it('should report each database write with its size and duration', async () => {
+      const onWrite = vi.fn();
+      const observed = createProducer({ db, batchDelay: 0, onWrite });
+
+      await Promise.all([observed.send('hooks', 0, { msg: 1 }), observed.send('hooks', 0, { msg: 2 })]);
+      await observed.sendBatch('hooks', [{ value: 3 }]);
+
+      expect(onWrite).toHaveBeenCalledTimes(2);
+      expect(onWrite.mock.calls[0][0]).toMatchObject({ topic: 'hooks', messages: 2, error: null });
+      expect(onWrite.mock.calls[1][0]).toMatchObject({ topic: 'hooks', messages: 1, error: null });
+      expect(onWrite.mock.calls[0][0].durationMs).toBeGreaterThanOrEqual(0);
+    });
+  });
+
   describe('error handling', () => {
     it('should handle table creation errors gracefully', async () => {
       // Close database to trigger error
@@ -157,6 +392,11 @@ describe('Producer', () => {
         .rejects.toThrow();
     });
 
+    it('should reject topic names that are not safe identifiers', async () => {
+      await expect(producer.send('bad"name', 0, { test: true }))
+        .rejects.toThrow('Invalid topic name');
+    });
+
     it('should only create table once per partition', async () => {
       // Send multiple messages to same partition
       await producer.send('once', 0, { msg: 1 });
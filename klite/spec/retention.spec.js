@@ -0,0 +1,165 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createClient } from '@libsql/client';
+import { createProducer } from '../src/producer.js';
+import { createConsumer } from '../src/consumer.js';
+import { createAdmin } from '../src/admin.js';
+import { createCleaner } from '../src/retention.js';
+import { startWorker } from '../src/worker.js';
+
+describe('Retention', () => {
+  let db;
+  let producer;
+  let consumer;
+  let admin;
+  let cleaner;
+
+  async function ids(topic, partition = 0) {
+    const result = await db.execute(`SELECT id FROM "klite_${topic}_${partition}" ORDER BY id`);
+    return result.rows.map(row => Number(row.id));
+  }
+
+  async function sendMany(topic, count) {
+    for (let i = 1; i <= count; i++) {
+      await producer.send(topic, 0, { i });
+    }
+  }
+
+  beforeEach(async () => {
+    db = createClient({
+      url: ':memory:'
+    });
+    producer = createProducer({ db, batchDelay: 0 });
+    consumer = createConsumer({ db, group: 'group1' });
+    admin = createAdmin({ db });
+    cleaner = createCleaner({ db });
+  });
+
+  describe('deleteCommitted', () => {
+    it('should delete messages every group has committed', async () => {
+      await admin.createTopic('events', { retention: { deleteCommitted: true } });
+      await sendMany('events', 5);
+
+      const other = createConsumer({ db, group: 'group2' });
+      await consumer.commit('events', 0, 4);
+      await other.commit('events', 0, 2);
+
+      const report = await cleaner.clean();
+
+      expect(report).toEqual([{ topic: 'events', partition: 0, deleted: 2 }]);
+      expect(await ids('events')).toEqual([3, 4, 5]);
+    });
+
+    it('should delete nothing before any group has committed', async () => {
+      await admin.createTopic('events', { retention: { deleteCommitted: true } });
+      await sendMany('events', 3);
+
+      expect(await cleaner.clean()).toEqual([]);
+      expect(await ids('events')).toEqual([1, 2, 3]);
+    });
+  });
+
+  describe('maxRows', () => {
+    it('should keep the newest rows up to the committed offset', async () => {
+      await admin.createTopic('events', { retention: { maxRows: 2 } });
+      await sendMany('events', 6);
+      await consumer.commit('events', 0, 3);
+
+      await cleaner.clean();
+
+      // Rows 1-4 exceed maxRows but only 1-3 are committed
+      expect(await ids('events')).toEqual([4, 5, 6]);
+    });
+
+    it('should ignore committed offsets when deleteUncommitted is set', async () => {
+      await admin.createTopic('events', { retention: { maxRows: 2, deleteUncommitted: true } });
+      await sendMany('events', 6);
+
+      await cleaner.clean();
+
+      expect(await ids('events')).toEqual([5, 6]);
+    });
+  });
+
+  describe('maxAgeMs', () => {
+    it('should delete committed messages older than the max age', async () => {
+      await admin.createTopic('events', { retention: { maxAgeMs: 60000 } });
+      await sendMany('events', 3);
+      await db.execute(`UPDATE klite_events_0 SET created = datetime('now', '-1 hour') WHERE id <= 2`);
+      await consumer.commit('events', 0, 3);
+
+      await cleaner.clean();
+
+      expect(await ids('events')).toEqual([3]);
+    });
+  });
+
+  describe('compact', () => {
+    it('should keep only the newest message per key', async () => {
+      await admin.createTopic('state', { retention: { compact: true } });
+      await producer.send('state', { key: 'a', value: { v: 1 } });
+      await producer.send('state', { key: 'b', value: { v: 1 } });
+      await producer.send('state', { key: 'a', value: { v: 2 } });
+      await producer.send('state', 0, { unkeyed: true });
+      await producer.send('state', { key: 'b', value: { v: 2 } });
+      await consumer.commit('state', 0, 5);
+
+      await cleaner.clean();
+
+      expect(await ids('state')).toEqual([3, 4, 5]);
+    });
+
+    it('should not compact past the committed offset', async () => {
+      await admin.createTopic('state', { retention: { compact: true } });
+      await producer.send('state', { key: 'a', value: { v: 1 } });
+      await producer.send('state', { key: 'a', value: { v: 2 } });
+      await producer.send('state', { key: 'a', value: { v: 3 } });
+      await consumer.commit('state', 0, 1);
+
+      await cleaner.clean();
+
+      expect(await ids('state')).toEqual([2, 3]);
+    });
+  });
+
+  it('should keep the high-water mark after cleaning', async () => {
+    await admin.createTopic('events', { retention: { deleteCommitted: true } });
+    await sendMany('events', 3);
+    await consumer.commit('events', 0, 3);
+
+    await cleaner.clean();
+    const { offset } = await producer.send('events', 0, { i: 4 });
+
+    expect(offset).toBe(4);
+  });
+
+  it('should leave topics without retention alone', async () => {
+    await admin.createTopic('events');
+    await sendMany('events', 3);
+    await consumer.commit('events', 0, 3);
+
+    expect(await cleaner.clean()).toEqual([]);
+    expect(await ids('events')).toEqual([1, 2, 3]);
+  });
+
+  it('should run in the worker when a cleaner is configured', async () => {
+    const consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const abortController = new AbortController();
+
+    await admin.createTopic('events', { retention: { deleteCommitted: true } });
+    await sendMany('events', 3);
+    await consumer.commit('events', 0, 2);
+
+    startWorker({
+      db,
+      config: { topics: {}, cleaner: { interval: '10ms' } },
+      signal: abortController.signal
+    });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    abortController.abort();
+
+    expect(await ids('events')).toEqual([3]);
+    expect(consoleSpy).toHaveBeenCalledWith('[events:0] Retention removed 2 messages');
+
+    consoleSpy.mockRestore();
+  });
+});
@@ -2,6 +2,10 @@ import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { createClient } from '@libsql/client';
 import { createProducer } from '../src/producer.js';
 import { startWorker } from '../src/worker.js';
+import { decode } from '@msgpack/msgpack';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
 
 // Mock fetch globally
 global.fetch = vi.fn();
@@ -17,7 +21,7 @@ describe('Worker', () => {
       url: ':memory:'
     });
     producer = createProducer({ db, batchDelay: 0 });
-    vi.clearAllMocks();
+    vi.resetAllMocks();
     
     // Setup AbortController for stopping worker
     abortController = new AbortController();
@@ -144,20 +148,89 @@ describe('Worker', () => {
         expect.objectContaining({
           method: 'POST',
           headers: {
-            'Content-Type': 'application/json'
+            'Content-Type': 'application/json',
+            'Idempotency-Key': 'processor:orders:0:1-2'
           },
           body: expect.stringContaining('"topic":"orders"')
         })
       );
 
       const callBody = JSON.parse(fetch.mock.calls[0][1].body);
+      expect(callBody.batchId).toBe('processor:orders:0:1-2');
       expect(callBody.topic).toBe('orders');
       expect(callBody.partition).toBe(0);
+      expect(callBody.group).toBe('processor');
       expect(callBody.messages).toHaveLength(2);
       expect(callBody.messages[0].data).toEqual({ orderId: 1 });
       expect(callBody.messages[1].data).toEqual({ orderId: 2 });
     });
 
+    it('should send the configured headers with every batch', async () => {
+      await producer.send('test', 0, { msg: 1 });
+
+      fetch.mockResolvedValue({ ok: true, status: 200 });
+
+      const config = {
+        topics: {
+          test: {
+            consumerGroups: {
+              group1: {
+                partitions: [0],
+                sink: {
+                  type: 'http',
+                  endpoint: 'https://example.com',
+                  headers: { Authorization: 'Bearer secret', 'Idempotency-Key': 'ignored' }
+                },
+                batchSize: 10,
+                interval: '20ms'
+              }
+            }
+          }
+        }
+      };
+
+      workerPromise = startWorker({ db, config, signal: abortController.signal });
+      await new Promise(resolve => setTimeout(resolve, 60));
+
+      expect(fetch.mock.calls[0][1].headers).toEqual({
+        Authorization: 'Bearer secret',
+        'Content-Type': 'application/json',
+        'Idempotency-Key': 'group1:test:0:1-1'
+      });
+    });
+
+    it('should resend a failed batch with the same idempotency key', async () => {
+      await producer.send('test', 0, { msg: 1 });
+      await producer.send('test', 0, { msg: 2 });
+
+      fetch
+        .mockResolvedValueOnce({ ok: false, status: 500, text: async () => 'boom' })
+        .mockResolvedValue({ ok: true, status: 200 });
+
+      const config = {
+        topics: {
+          test: {
+            consumerGroups: {
+              group1: {
+                partitions: [0],
+                endpoint: 'https://example.com',
+                batchSize: 10,
+                interval: '20ms'
+              }
+            }
+          }
+        }
+      };
+
+      workerPromise = startWorker({ db, config, signal: abortController.signal });
+      await new Promise(resolve => setTimeout(resolve, 60));
+
+      const keys = fetch.mock.calls.map(call => call[1].headers['Idempotency-Key']);
+      expect(keys.length).toBeGreaterThanOrEqual(2);
+      expect(keys[0]).toBe('group1:test:0:1-2');
+      expect(keys[1]).toBe(keys[0]);
+    });
+
     it('should commit offset on successful response', async () => {
       await producer.send('test', 0, { msg: 1 });
       await producer.send('test', 0, { msg: 2 });
@@ -432,6 +505,505 @@ describe('Worker', () => {
     });
   });
 
+  describe('push-based fetching', () => {
+    it('should deliver new messages without waiting for the interval', async () => {
+      fetch.mockResolvedValue({ ok: true, status: 200 });
+
+      const config = {
+        topics: {
+          test: {
+            consumerGroups: {
+              group1: {
+                partitions: [0],
+                endpoint: 'https://example.com',
+                batchSize: 10,
+                interval: '10s'
+              }
+            }
+          }
+        }
+      };
+
+      workerPromise = startWorker({ db, config, signal: abortController.signal });
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      await producer.send('test', 0, { msg: 1 });
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(JSON.parse(fetch.mock.calls[0][1].body).messages[0].data).toEqual({ msg: 1 });
+    });
+
+    it('should drain a backlog back-to-back', async () => {
+      await producer.sendBatch('test', 0, Array.from({ length: 20 }, (_, i) => ({ id: i + 1 })));
+      fetch.mockResolvedValue({ ok: true, status: 200 });
+
+      const config = {
+        topics: {
+          test: {
+            consumerGroups: {
+              group1: {
+                partitions: [0],
+                endpoint: 'https://example.com',
+                batchSize: 5,
+                interval: '10s'
+              }
+            }
+          }
+        }
+      };
+
+      workerPromise = startWorker({ db, config, signal: abortController.signal });
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      expect(fetch).toHaveBeenCalledTimes(4);
+      const lastBody = JSON.parse(fetch.mock.calls[3][1].body);
+      expect(lastBody.messages[4].data).toEqual({ id: 20 });
+    });
+  });
+
+  describe('retry and dead-letter', () => {
+    it('should back off between failed attempts', async () => {
+      await producer.send('test', 0, { msg: 1 });
+
+      fetch.mockResolvedValue({
+        ok: false,
+        status: 500,
+        text: async () => 'Internal Server Error'
+      });
+
+      const config = {
+        topics: {
+          test: {
+            consumerGroups: {
+              group1: {
+                partitions: [0],
+                endpoint: 'https://example.com',
+                batchSize: 10,
+                interval: '10ms',
+                retry: { maxAttempts: 10, backoff: '1s' }
+              }
+            }
+          }
+        }
+      };
+
+      workerPromise = startWorker({ db, config, signal: abortController.signal });
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      // First failure schedules a retry at least 500ms out
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should retry when the backoff is up rather than after the interval', async () => {
+      await producer.send('test', 0, { msg: 1 });
+
+      fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 500,
+        text: async () => 'Internal Server Error'
+      });
+      fetch.mockResolvedValue({ ok: true });
+
+      const config = {
+        topics: {
+          test: {
+            consumerGroups: {
+              group1: {
+                partitions: [0],
+                endpoint: 'https://example.com',
+                batchSize: 10,
+                interval: '10s',
+                retry: { maxAttempts: 10, backoff: '100ms' }
+              }
+            }
+          }
+        }
+      };
+
+      workerPromise = startWorker({ db, config, signal: abortController.signal });
+
+      // The retry is due 50-100ms after the failure
+      await new Promise(resolve => setTimeout(resolve, 30));
+      expect(fetch).toHaveBeenCalledTimes(1);
+
+      await vi.waitFor(async () => {
+        expect(fetch).toHaveBeenCalledTimes(2);
+        const result = await db.execute({
+          sql: 'SELECT commit_offset FROM klite_consumer_offsets WHERE consumer_group = ? AND topic = ? AND partition = ?',
+          args: ['group1', 'test', 0]
+        });
+        expect(result.rows[0]?.commit_offset).toBe(1);
+      }, { timeout: 1000, interval: 10 });
+    });
+
+    it('should move the batch to the dead-letter topic after max attempts', async () => {
+      await producer.send('test', 0, { msg: 1 });
+      await producer.send('test', 0, { msg: 2 });
+
+      fetch.mockResolvedValue({
+        ok: false,
+        status: 500,
+        text: async () => 'Internal Server Error'
+      });
+
+      const config = {
+        topics: {
+          test: {
+            consumerGroups: {
+              group1: {
+                partitions: [0],
+                endpoint: 'https://example.com',
+                batchSize: 10,
+                interval: '10ms',
+                retry: { maxAttempts: 3, backoff: '1ms', maxBackoff: '5ms' },
+                deadLetterTopic: 'test.dlq'
+              }
+            }
+          }
+        }
+      };
+
+      workerPromise = startWorker({ db, config, signal: abortController.signal });
+      await new Promise(resolve => setTimeout(resolve, 150));
+
+      expect(fetch).toHaveBeenCalledTimes(3);
+
+      const dlq = await db.execute('SELECT data FROM "klite_test.dlq_0" ORDER BY id');
+      expect(dlq.rows.length).toBe(2);
+
+      const parked = decode(dlq.rows[0].data);
+      expect(parked).toMatchObject({
+        topic: 'test',
+        partition: 0,
+        group: 'group1',
+        offset: 1,
+        data: { msg: 1 },
+        attempts: 3,
+        error: 'Endpoint returned 500: Internal Server Error'
+      });
+
+      const result = await db.execute({
+        sql: 'SELECT commit_offset FROM klite_consumer_offsets WHERE consumer_group = ? AND topic = ? AND partition = ?',
+        args: ['group1', 'test', 0]
+      });
+      expect(result.rows[0].commit_offset).toBe(2);
+    });
+
+    it('should keep retrying without a dead-letter topic', async () => {
+      await producer.send('test', 0, { msg: 1 });
+
+      fetch.mockResolvedValue({
+        ok: false,
+        status: 500,
+        text: async () => 'Internal Server Error'
+      });
+
+      const config = {
+        topics: {
+          test: {
+            consumerGroups: {
+              group1: {
+                partitions: [0],
+                endpoint: 'https://example.com',
+                batchSize: 10,
+                interval: '10ms',
+                retry: { maxAttempts: 2, backoff: '1ms', maxBackoff: '2ms' }
+              }
+            }
+          }
+        }
+      };
+
+      workerPromise = startWorker({ db, config, signal: abortController.signal });
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      expect(fetch.mock.calls.length).toBeGreaterThan(2);
+
+      const result = await db.execute({
+        sql: 'SELECT commit_offset FROM klite_consumer_offsets WHERE consumer_group = ? AND topic = ? AND partition = ?',
+        args: ['group1', 'test', 0]
+      });
+      expect(result.rows.length).toBe(0);
+    });
+  });
+
+  describe('sinks', () => {
+    function configWithSink(sink) {
+      return {
+        topics: {
+          test: {
+            consumerGroups: {
+              group1: {
+                partitions: [0],
+                sink,
+                batchSize: 10,
+                interval: '10s'
+              }
+            }
+          }
+        }
+      };
+    }
+
+    it('should hand batches to a function sink', async () => {
+      await producer.send('test', { key: 'k', value: { msg: 1 } });
+      const handler = vi.fn().mockResolvedValue(undefined);
+
+      const worker = await startWorker({ db, config: configWithSink({ type: 'function', handler }) });
+      await worker.ready;
+      await worker.stop();
+
+      expect(fetch).not.toHaveBeenCalled();
+      expect(handler).toHaveBeenCalledTimes(1);
+      const batch = handler.mock.calls[0][0];
+      expect(batch).toMatchObject({ batchId: 'group1:test:0:1-1', topic: 'test', partition: 0, group: 'group1' });
+      expect(batch.messages[0]).toMatchObject({ offset: 1, key: 'k', data: { msg: 1 } });
+
+      const result = await db.execute("SELECT commit_offset FROM klite_consumer_offsets WHERE consumer_group = 'group1'");
+      expect(result.rows[0].commit_offset).toBe(1);
+    });
+
+    it('should not commit when a function sink throws', async () => {
+      await producer.send('test', 0, { msg: 1 });
+      const handler = vi.fn().mockRejectedValue(new Error('disk full'));
+
+      const worker = await startWorker({ db, config: configWithSink({ type: 'function', handler }) });
+      await worker.ready;
+      await worker.stop();
+
+      const result = await db.execute("SELECT commit_offset FROM klite_consumer_offsets WHERE consumer_group = 'group1'");
+      expect(result.rows.length).toBe(0);
+    });
+
+    it('should report every delivery to onDelivery', async () => {
+      await producer.send('test', 0, { msg: 1 });
+      const onDelivery = vi.fn();
+      const handler = vi.fn()
+        .mockRejectedValueOnce(new Error('disk full'))
+        .mockResolvedValue(undefined);
+      const config = configWithSink({ type: 'function', handler });
+      config.topics.test.consumerGroups.group1.interval = '10ms';
+
+      const worker = await startWorker({ db, config, onDelivery });
+      await new Promise(resolve => setTimeout(resolve, 50));
+      await worker.stop();
+
+      expect(onDelivery.mock.calls.length).toBeGreaterThanOrEqual(2);
+      const [failed, delivered] = onDelivery.mock.calls.map(([delivery]) => delivery);
+      expect(failed).toMatchObject({ topic: 'test', partition: 0, group: 'group1', sink: 'function', messages: 1 });
+      expect(failed.error.message).toBe('disk full');
+      expect(delivered.error).toBeNull();
+      expect(delivered.durationMs).toBeGreaterThanOrEqual(0);
+    });
+
+    it('should append NDJSON to a file sink', async () => {
+      const dir = await mkdtemp(join(tmpdir(), 'klite-'));
+      const path = join(dir, 'out', 'test.ndjson');
+      await producer.send('test', 0, { msg: 1 });
+      await producer.send('test', 0, { msg: 2 });
+
+      try {
+        const worker = await startWorker({ db, config: configWithSink({ type: 'file', path }) });
+        await worker.ready;
+        await worker.stop();
+
+        const lines = (await readFile(path, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+        expect(lines).toHaveLength(2);
+        expect(lines[0]).toMatchObject({ topic: 'test', partition: 0, offset: 1, data: { msg: 1 } });
+        expect(lines[1]).toMatchObject({ offset: 2, data: { msg: 2 } });
+      } finally {
+        await rm(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should use custom sink factories', async () => {
+      await producer.send('test', 0, { msg: 1 });
+      const delivered = [];
+      const sinks = {
+        memory: (sinkConfig) => ({
+          description: `Sink: memory ${sinkConfig.name}`,
+          deliver: async (batch) => { delivered.push(batch); }
+        })
+      };
+
+      const worker = await startWorker({ db, config: configWithSink({ type: 'memory', name: 'm1' }), sinks });
+      await worker.ready;
+      await worker.stop();
+
+      expect(delivered).toHaveLength(1);
+      expect(worker.status()[0].sink).toBe('memory');
+    });
+
+    it('should reject unknown sink types', async () => {
+      await expect(startWorker({ db, config: configWithSink({ type: 'carrier-pigeon' }) }))
+        .rejects.toThrow('Unknown sink type: carrier-pigeon');
+    });
+
+    it('should reject sinks with missing settings', async () => {
+      await expect(startWorker({ db, config: configWithSink({ type: 'file' }) }))
+        .rejects.toThrow('file sink requires a path');
+    });
+  });
+
+  describe('lifecycle', () => {
+    const config = {
+      topics: {
+        test: {
+          consumerGroups: {
+            group1: {
+              partitions: [0, 1],
+              endpoint: 'https://example.com',
+              batchSize: 10,
+              interval: '10s'
+            }
+          }
+        }
+      }
+    };
+
+    it('should resolve with a handle once the groups are started', async () => {
+      fetch.mockResolvedValue({ ok: true, status: 200 });
+
+      const worker = await startWorker({ db, config });
+      await worker.ready;
+
+      const [group] = worker.status();
+      expect(group).toMatchObject({
+        topic: 'test',
+        group: 'group1',
+        partitions: [0, 1],
+        state: 'running',
+        intervalMs: 10000,
+        lastError: null
+      });
+      expect(group.lastRunAt).toBeGreaterThan(0);
+
+      await worker.stop();
+      expect(worker.status()[0].state).toBe('stopped');
+    });
+
+    it('should wait for in-flight batches to be committed on stop', async () => {
+      await producer.send('test', 0, { msg: 1 });
+
+      let respond;
+      fetch.mockImplementation(() => new Promise(resolve => { respond = resolve; }));
+
+      const worker = await startWorker({ db, config });
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      const stopping = worker.stop();
+      respond({ ok: true, status: 200 });
+      await stopping;
+
+      const result = await db.execute({
+        sql: 'SELECT commit_offset FROM klite_consumer_offsets WHERE consumer_group = ? AND topic = ? AND partition = ?',
+        args: ['group1', 'test', 0]
+      });
+      expect(result.rows[0].commit_offset).toBe(1);
+    });
+
+    it('should not fetch again after stop', async () => {
+      fetch.mockResolvedValue({ ok: true, status: 200 });
+
+      const worker = await startWorker({ db, config });
+      await worker.ready;
+      await worker.stop();
+
+      await producer.send('test', 0, { msg: 1 });
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('should stop when the signal aborts', async () => {
+      const worker = await startWorker({ db, config, signal: abortController.signal });
+      await worker.ready;
+
+      abortController.abort();
+      await worker.stop();
+
+      expect(worker.status()[0].state).toBe('stopped');
+    });
+
+    it('should start a group added while running', async () => {
+      fetch.mockResolvedValue({ ok: true, status: 200 });
+      await producer.send('extra', 0, { msg: 1 });
+
+      const worker = await startWorker({ db, config });
+      await worker.ready;
+      await worker.addGroup('extra', 'late', {
+        partitions: [0],
+        endpoint: 'https://late.example.com',
+        batchSize: 10,
+        interval: '10s'
+      });
+
+      expect(fetch).toHaveBeenCalledWith('https://late.example.com', expect.anything());
+      expect(worker.status().map(group => group.group)).toEqual(['group1', 'late']);
+
+      await worker.stop();
+      expect(worker.status().every(group => group.state === 'stopped')).toBe(true);
+    });
+
+    it('should refuse to add a group that is already running', async () => {
+      const worker = await startWorker({ db, config });
+      await worker.ready;
+
+      await expect(worker.addGroup('test', 'group1', config.topics.test.consumerGroups.group1))
+        .rejects.toThrow('Consumer group group1 is already running for topic test');
+      await expect(worker.addGroup('test', 'group2', { partitions: [0], endpoint: 'https://example.com', batchSize: 1, interval: 'soon' }))
+        .rejects.toThrow('Invalid interval format: soon');
+
+      await worker.stop();
+      await expect(worker.addGroup('test', 'group2', config.topics.test.consumerGroups.group1))
+        .rejects.toThrow('Worker is stopped');
+    });
+
+    it('should remove a group after its in-flight batch is committed', async () => {
+      await producer.send('test', 0, { msg: 1 });
+
+      let respond;
+      fetch.mockImplementation(() => new Promise(resolve => { respond = resolve; }));
+
+      const worker = await startWorker({ db, config });
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      const removing = worker.removeGroup('test', 'group1');
+      respond({ ok: true, status: 200 });
+      expect(await removing).toBe(true);
+      expect(worker.status()).toEqual([]);
+      expect(await worker.removeGroup('test', 'group1')).toBe(false);
+
+      const result = await db.execute({
+        sql: 'SELECT commit_offset FROM klite_consumer_offsets WHERE consumer_group = ? AND topic = ? AND partition = ?',
+        args: ['group1', 'test', 0]
+      });
+      expect(result.rows[0].commit_offset).toBe(1);
+
+      fetch.mockClear();
+      await producer.send('test', 0, { msg: 2 });
+      await new Promise(resolve => setTimeout(resolve, 20));
+      expect(fetch).not.toHaveBeenCalled();
+
+      await worker.stop();
+    });
+
+    it('should reject invalid intervals up front', async () => {
+      const badConfig = {
+        topics: {
+          test: {
+            consumerGroups: {
+              group1: { partitions: [0], endpoint: 'https://example.com', batchSize: 1, interval: 'soon' }
+            }
+          }
+        }
+      };
+
+      await expect(startWorker({ db, config: badConfig })).rejects.toThrow('Invalid interval format: soon');
+    });
+  });
+
   describe('configuration', () => {
     it('should handle missing topics gracefully', async () => {
       const config = {};
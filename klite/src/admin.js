@@ -0,0 +1,289 @@
+import {
+  ensurePartitionTable,
+  ensureTopicsTable,
+  partitionBounds,
+  partitionTable,
+  validateTopicName,
+} from "./topics.js";
+
+const RETENTION_LIMITS = ["maxAgeMs", "maxRows"];
+const RETENTION_FLAGS = ["deleteCommitted", "compact", "deleteUncommitted"];
+
+function normalizeRetention(retention = {}) {
+  const normalized = {};
+
+  for (const [name, value] of Object.entries(retention)) {
+    if (!RETENTION_LIMITS.includes(name) && !RETENTION_FLAGS.includes(name)) {
+      throw new Error(`Unknown retention setting: ${name}`);
+    }
+    if (value === null || value === undefined) continue;
+
+    if (RETENTION_FLAGS.includes(name)) {
+      if (typeof value !== "boolean") {
+        throw new Error(`Retention setting ${name} must be a boolean`);
+      }
+      if (value) normalized[name] = true;
+    } else {
+      if (!Number.isInteger(value) || value <= 0) {
+        throw new Error(`Retention setting ${name} must be a positive integer`);
+      }
+      normalized[name] = value;
+    }
+  }
+
+  return normalized;
+}
+
+function toTopic(row) {
+  return {
+    name: row.name,
+    partitions: Number(row.partitions),
+    retention: JSON.parse(row.retention),
+    createdAt: row.created_at,
+  };
+}
+
+export function createAdmin({ db }) {
+  let registryEnsured = false;
+
+  async function ensureRegistry() {
+    if (registryEnsured) return;
+
+    await ensureTopicsTable(db);
+    registryEnsured = true;
+  }
+
+  async function getTopic(name) {
+    await ensureRegistry();
+
+    const result = await db.execute({
+      sql: `SELECT * FROM klite_topics WHERE name = ?`,
+      args: [name],
+    });
+
+    return result.rows.length > 0 ? toTopic(result.rows[0]) : null;
+  }
+
+  // Partition tables that exist for a topic, whether registered or created implicitly by a producer
+  async function existingPartitions(name) {
+    const result = await db.execute({
+      sql: `SELECT name FROM sqlite_master WHERE type = 'table' AND name LIKE ? ESCAPE '\\'`,
+      args: [`klite\\_${name.replace(/_/g, "\\_")}\\_%`],
+    });
+
+    const prefix = `klite_${name}_`;
+    return result.rows
+      .map((row) => row.name.slice(prefix.length))
+      .filter((suffix) => /^\d+$/.test(suffix))
+      .map(Number)
+      .sort((a, b) => a - b);
+  }
+
+  async function createTopic(name, { partitions = 1, retention } = {}) {
+    validateTopicName(name);
+    if (!Number.isInteger(partitions) || partitions < 1) {
+      throw new Error(`Partition count must be a positive integer, got ${partitions}`);
+    }
+    const settings = normalizeRetention(retention);
+
+    if (await getTopic(name)) {
+      throw new Error(`Topic ${name} already exists`);
+    }
+
+    await db.execute({
+      sql: `INSERT INTO klite_topics (name, partitions, retention) VALUES (?, ?, ?)`,
+      args: [name, partitions, JSON.stringify(settings)],
+    });
+
+    for (let partition = 0; partition < partitions; partition++) {
+      await ensurePartitionTable(db, name, partition);
+    }
+
+    return getTopic(name);
+  }
+
+  async function setRetention(name, retention) {
+    validateTopicName(name);
+    const settings = normalizeRetention(retention);
+
+    if (!(await getTopic(name))) {
+      throw new Error(`Unknown topic: ${name}`);
+    }
+
+    await db.execute({
+      sql: `UPDATE klite_topics SET retention = ? WHERE name = ?`,
+      args: [JSON.stringify(settings), name],
+    });
+
+    return getTopic(name);
+  }
+
+  async function listTopics() {
+    await ensureRegistry();
+
+    const result = await db.execute(`SELECT * FROM klite_topics ORDER BY name`);
+    return result.rows.map(toTopic);
+  }
+
+  async function describePartition(name, partition) {
+    const tableName = partitionTable(name, partition);
+    const { highWaterMark } = await partitionBounds(db, name, partition);
+
+    try {
+      const result = await db.execute(
+        `SELECT COUNT(*) AS count, MIN(created) AS oldest, MAX(created) AS newest FROM "${tableName}"`
+      );
+      const row = result.rows[0];
+
+      return {
+        partition,
+        highWaterMark,
+        messageCount: Number(row.count),
+        oldest: row.oldest,
+        newest: row.newest,
+      };
+    } catch (error) {
+      // Registered partition nobody has written to yet
+      if (error.message?.includes("no such table")) {
+        return { partition, highWaterMark, messageCount: 0, oldest: null, newest: null };
+      }
+      throw error;
+    }
+  }
+
+  async function describeTopic(name) {
+    validateTopicName(name);
+
+    const topic = await getTopic(name);
+    const partitions = topic
+      ? Array.from({ length: topic.partitions }, (_, i) => i)
+      : await existingPartitions(name);
+
+    if (!topic && partitions.length === 0) {
+      throw new Error(`Unknown topic: ${name}`);
+    }
+
+    const details = [];
+    for (const partition of partitions) {
+      details.push(await describePartition(name, partition));
+    }
+
+    return {
+      name,
+      registered: Boolean(topic),
+      partitions: topic ? topic.partitions : partitions.length,
+      retention: topic ? topic.retention : {},
+      createdAt: topic ? topic.createdAt : null,
+      partitionDetails: details,
+    };
+  }
+
+  async function deleteTopic(name) {
+    validateTopicName(name);
+
+    const topic = await getTopic(name);
+    const partitions = await existingPartitions(name);
+
+    if (!topic && partitions.length === 0) {
+      throw new Error(`Unknown topic: ${name}`);
+    }
+
+    const statements = partitions.map((partition) => ({
+      sql: `DROP TABLE IF EXISTS "${partitionTable(name, partition)}"`,
+      args: [],
+    }));
+    statements.push({ sql: `DELETE FROM klite_topics WHERE name = ?`, args: [name] });
+    await db.batch(statements);
+
+    try {
+      await db.execute({
+        sql: `DELETE FROM klite_consumer_offsets WHERE topic = ?`,
+        args: [name],
+      });
+    } catch (error) {
+      // No consumer has committed anything yet
+      if (!error.message?.includes("no such table")) throw error;
+    }
+
+    return { name, droppedPartitions: partitions };
+  }
+
+  // Committed offset and lag of every consumer group that has committed on any partition
+  async function listGroupOffsets() {
+    let rows;
+    try {
+      const result = await db.execute(
+        `SELECT consumer_group, topic, partition, commit_offset FROM klite_consumer_offsets
+         ORDER BY consumer_group, topic, partition`
+      );
+      rows = result.rows;
+    } catch (error) {
+      // No consumer has committed anything yet
+      if (error.message?.includes("no such table")) return [];
+      throw error;
+    }
+
+    const offsets = [];
+    for (const row of rows) {
+      const partition = Number(row.partition);
+      const committedOffset = Number(row.commit_offset);
+      const { highWaterMark } = await partitionBounds(db, row.topic, partition);
+      offsets.push({
+        group: row.consumer_group,
+        topic: row.topic,
+        partition,
+        committedOffset,
+        highWaterMark,
+        lag: Math.max(0, highWaterMark - committedOffset),
+      });
+    }
+    return offsets;
+  }
+
+  // Forget a group's committed offsets on a topic, so retention no longer waits for it
+  async function deleteGroupOffsets(group, topic) {
+    validateTopicName(topic);
+
+    try {
+      const result = await db.execute({
+        sql: `DELETE FROM klite_consumer_offsets WHERE consumer_group = ? AND topic = ?`,
+        args: [group, topic],
+      });
+      return { group, topic, deletedPartitions: result.rowsAffected };
+    } catch (error) {
+      // No consumer has committed anything yet
+      if (error.message?.includes("no such table")) return { group, topic, deletedPartitions: 0 };
+      throw error;
+    }
+  }
+
+  // Remove every trace of a group on a topic: its committed offsets, and the
+  // member and partition lease rows that membership would otherwise keep until they expire
+  async function deleteGroup(group, topic) {
+    const { deletedPartitions } = await deleteGroupOffsets(group, topic);
+
+    for (const table of ["klite_group_members", "klite_partition_owners"]) {
+      try {
+        await db.execute({
+          sql: `DELETE FROM ${table} WHERE consumer_group = ? AND topic = ?`,
+          args: [group, topic],
+        });
+      } catch (error) {
+        // No group has used membership yet
+        if (!error.message?.includes("no such table")) throw error;
+      }
+    }
+    return { group, topic, deletedPartitions };
+  }
+
+  return {
+    createTopic,
+    setRetention,
+    listTopics,
+    describeTopic,
+    deleteTopic,
+    listGroupOffsets,
+    deleteGroupOffsets,
+    deleteGroup,
+  };
+}
@@ -1,4 +1,11 @@
 import { decode } from "@msgpack/msgpack";
+import { watchPartitions } from "./notify.js";
+import {
+  partitionBounds,
+  partitionTable,
+  validatePartition,
+  validateTopicName,
+} from "./topics.js";
 
 export function createConsumer({ db, group }) {
   let offsetTableEnsured = false;
@@ -38,15 +45,14 @@ export function createConsumer({ db, group }) {
     return -1;
   }
 
-  async function fetch(topic, partition, options = {}) {
-    const maxMessages = options.maxMessages || 100;
-    const tableName = `klite_${topic}_${partition}`;
+  async function read(topic, partition, maxMessages) {
+    const tableName = partitionTable(topic, partition);
 
     const lastOffset = await getLastOffset(topic, partition);
 
     try {
       const result = await db.execute({
-        sql: `SELECT id as offset, data, created FROM "${tableName}" 
+        sql: `SELECT * FROM "${tableName}" 
               WHERE id > ? 
               ORDER BY id ASC 
               LIMIT ?`,
@@ -54,7 +60,9 @@ export function createConsumer({ db, group }) {
       });
 
       return result.rows.map((row) => ({
-        offset: Number(row.offset),
+        offset: Number(row.id),
+        // Tables created before message keys have no key column
+        key: row.key ?? null,
         data: decode(row.data),
         created: row.created,
       }));
@@ -67,6 +75,26 @@ export function createConsumer({ db, group }) {
     }
   }
 
+  // With waitMs, an empty fetch waits for a producer in this process to write to the partition
+  async function fetch(topic, partition, options = {}) {
+    const maxMessages = options.maxMessages || 100;
+
+    if (!options.waitMs) {
+      return read(topic, partition, maxMessages);
+    }
+
+    const watcher = watchPartitions(db, topic, [partition], options.waitMs, options.signal);
+    try {
+      const messages = await read(topic, partition, maxMessages);
+      if (messages.length > 0) return messages;
+
+      const notified = await watcher.ready;
+      return notified ? read(topic, partition, maxMessages) : [];
+    } finally {
+      watcher.cancel();
+    }
+  }
+
   async function commit(topic, partition, offset) {
     await ensureOffsetTable();
 
@@ -102,5 +130,69 @@ export function createConsumer({ db, group }) {
     }
   }
 
-  return { fetch, commit };
+  // Positions are "next offset to fetch", so the committed offset is one less
+  async function seek(topic, partition, offset) {
+    validateTopicName(topic);
+    validatePartition(partition);
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new Error(`Invalid offset: ${JSON.stringify(offset)}`);
+    }
+
+    await commit(topic, partition, offset - 1);
+    return { topic, partition, offset };
+  }
+
+  async function seekToBeginning(topic, partition) {
+    const { lowWaterMark } = await partitionBounds(db, topic, partition);
+    return seek(topic, partition, lowWaterMark);
+  }
+
+  async function seekToEnd(topic, partition) {
+    const { highWaterMark } = await partitionBounds(db, topic, partition);
+    return seek(topic, partition, highWaterMark + 1);
+  }
+
+  // Seek to the first message created at or after the timestamp, or the end if there is none
+  async function seekToTimestamp(topic, partition, timestamp) {
+    const tableName = partitionTable(topic, partition);
+    const date = new Date(timestamp);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Invalid timestamp: ${JSON.stringify(timestamp)}`);
+    }
+    // Match the "YYYY-MM-DD HH:MM:SS" UTC format of CURRENT_TIMESTAMP
+    const created = date.toISOString().replace("T", " ").slice(0, 19);
+
+    let offset = null;
+    try {
+      const result = await db.execute({
+        sql: `SELECT MIN(id) AS offset FROM "${tableName}" WHERE created >= ?`,
+        args: [created],
+      });
+      offset = result.rows[0].offset;
+    } catch (error) {
+      if (!error.message?.includes("no such table")) throw error;
+    }
+
+    if (offset === null) return seekToEnd(topic, partition);
+    return seek(topic, partition, Number(offset));
+  }
+
+  async function lag(topic, partition) {
+    const { lowWaterMark, highWaterMark } = await partitionBounds(db, topic, partition);
+    const lastOffset = await getLastOffset(topic, partition);
+
+    // Nothing committed yet means everything still retained is pending
+    const committedOffset = lastOffset === -1 ? null : Number(lastOffset);
+    const position = committedOffset === null ? lowWaterMark - 1 : committedOffset;
+
+    return {
+      topic,
+      partition,
+      committedOffset,
+      highWaterMark,
+      lag: Math.max(0, highWaterMark - position),
+    };
+  }
+
+  return { fetch, commit, seek, seekToBeginning, seekToEnd, seekToTimestamp, lag };
 }
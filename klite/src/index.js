@@ -1,3 +1,5 @@
 export { createProducer } from './producer.js';
 export { createConsumer } from './consumer.js';
+export { createAdmin } from './admin.js';
+export { createCleaner } from './retention.js';
 export { startWorker } from './worker.js';
\ No newline at end of file
@@ -0,0 +1,155 @@
+import { randomUUID } from "node:crypto";
+import { hostname } from "node:os";
+
+// Member and partition-owner rows carry expiry times in ms since epoch, so members
+// sharing a database need roughly synchronised clocks.
+export function createMembership({ db, group, topic, memberId, sessionTimeoutMs = 30000 }) {
+  const id = memberId || `${hostname()}-${process.pid}-${randomUUID().slice(0, 8)}`;
+  let tablesEnsured = false;
+
+  async function ensureTables() {
+    if (tablesEnsured) return;
+
+    await db.batch(
+      [
+        `CREATE TABLE IF NOT EXISTS klite_group_members (
+          consumer_group VARCHAR NOT NULL,
+          topic VARCHAR NOT NULL,
+          member_id VARCHAR NOT NULL,
+          joined_at INTEGER NOT NULL,
+          expires_at INTEGER NOT NULL,
+          PRIMARY KEY (consumer_group, topic, member_id)
+        )`,
+        `CREATE TABLE IF NOT EXISTS klite_partition_owners (
+          consumer_group VARCHAR NOT NULL,
+          topic VARCHAR NOT NULL,
+          partition INTEGER NOT NULL,
+          member_id VARCHAR NOT NULL,
+          expires_at INTEGER NOT NULL,
+          PRIMARY KEY (consumer_group, topic, partition)
+        )`,
+      ],
+      "write"
+    );
+    tablesEnsured = true;
+  }
+
+  async function heartbeat(now) {
+    await db.execute({
+      sql: `INSERT INTO klite_group_members (consumer_group, topic, member_id, joined_at, expires_at)
+            VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT (consumer_group, topic, member_id) DO UPDATE SET expires_at = excluded.expires_at`,
+      args: [group, topic, id, now, now + sessionTimeoutMs],
+    });
+
+    const result = await db.execute({
+      sql: `SELECT member_id FROM klite_group_members
+            WHERE consumer_group = ? AND topic = ? AND expires_at > ?
+            ORDER BY member_id`,
+      args: [group, topic, now],
+    });
+    return result.rows.map((row) => row.member_id);
+  }
+
+  // Take or renew a partition unless another live member still owns it
+  async function claim(partition, now) {
+    const result = await db.execute({
+      sql: `INSERT INTO klite_partition_owners (consumer_group, topic, partition, member_id, expires_at)
+            VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT (consumer_group, topic, partition) DO UPDATE
+              SET member_id = excluded.member_id, expires_at = excluded.expires_at
+              WHERE klite_partition_owners.member_id = excluded.member_id
+                 OR klite_partition_owners.expires_at <= ?`,
+      args: [group, topic, partition, id, now + sessionTimeoutMs, now],
+    });
+    return result.rowsAffected > 0;
+  }
+
+  async function release(partitions) {
+    if (partitions.length === 0) return;
+
+    await db.execute({
+      sql: `DELETE FROM klite_partition_owners
+            WHERE consumer_group = ? AND topic = ? AND member_id = ?
+              AND partition IN (${partitions.map(() => "?").join(", ")})`,
+      args: [group, topic, id, ...partitions],
+    });
+  }
+
+  /**
+   * Heartbeat, then work out which of `partitions` this member should own:
+   * live members sorted by id take partitions round-robin. Partitions handed to
+   * another member are released; newly assigned ones are only returned once
+   * their previous owner released them or its lease expired.
+   */
+  async function sync(partitions) {
+    await ensureTables();
+    const now = Date.now();
+
+    const members = await heartbeat(now);
+    const index = members.indexOf(id);
+    const wanted = partitions.filter((_, i) => i % members.length === index);
+
+    await release(partitions.filter((partition) => !wanted.includes(partition)));
+
+    const owned = [];
+    for (const partition of wanted) {
+      if (await claim(partition, now)) owned.push(partition);
+    }
+    return { members, owned };
+  }
+
+  // Extend this member's heartbeat and every lease it holds, without rebalancing
+  async function renew() {
+    await ensureTables();
+    const expiresAt = Date.now() + sessionTimeoutMs;
+
+    await db.batch(
+      [
+        {
+          sql: `UPDATE klite_group_members SET expires_at = ?
+                WHERE consumer_group = ? AND topic = ? AND member_id = ?`,
+          args: [expiresAt, group, topic, id],
+        },
+        {
+          sql: `UPDATE klite_partition_owners SET expires_at = ?
+                WHERE consumer_group = ? AND topic = ? AND member_id = ?`,
+          args: [expiresAt, group, topic, id],
+        },
+      ],
+      "write"
+    );
+  }
+
+  // Renew the lease on `partition`; false once another member took it over
+  async function holds(partition) {
+    await ensureTables();
+
+    const result = await db.execute({
+      sql: `UPDATE klite_partition_owners SET expires_at = ?
+            WHERE consumer_group = ? AND topic = ? AND partition = ? AND member_id = ?`,
+      args: [Date.now() + sessionTimeoutMs, group, topic, partition, id],
+    });
+    return result.rowsAffected > 0;
+  }
+
+  async function leave() {
+    await ensureTables();
+
+    await db.batch(
+      [
+        {
+          sql: `DELETE FROM klite_partition_owners WHERE consumer_group = ? AND topic = ? AND member_id = ?`,
+          args: [group, topic, id],
+        },
+        {
+          sql: `DELETE FROM klite_group_members WHERE consumer_group = ? AND topic = ? AND member_id = ?`,
+          args: [group, topic, id],
+        },
+      ],
+      "write"
+    );
+  }
+
+  return { memberId: id, sync, renew, holds, leave };
+}
@@ -0,0 +1,51 @@
+import { EventEmitter } from "node:events";
+
+// One emitter per database handle, so only producers and consumers sharing it see each other
+const emitters = new WeakMap();
+
+function emitterFor(db) {
+  let emitter = emitters.get(db);
+  if (!emitter) {
+    emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+    emitters.set(db, emitter);
+  }
+  return emitter;
+}
+
+export function notifyMessages(db, topic, partition) {
+  emitters.get(db)?.emit(`${topic}:${partition}`);
+}
+
+/**
+ * Watch partitions for newly written messages. `ready` resolves true on the first
+ * notification, or false once timeoutMs elapses or the signal aborts.
+ * Subscribe before reading so a write in between is not missed.
+ */
+export function watchPartitions(db, topic, partitions, timeoutMs, signal) {
+  const emitter = emitterFor(db);
+  const events = partitions.map((partition) => `${topic}:${partition}`);
+  let cancel;
+
+  const ready = new Promise((resolve) => {
+    const finish = (notified) => {
+      cancel();
+      resolve(notified);
+    };
+    const onMessage = () => finish(true);
+    const onAbort = () => finish(false);
+    const timer = setTimeout(() => finish(false), timeoutMs);
+
+    cancel = () => {
+      clearTimeout(timer);
+      events.forEach((event) => emitter.off(event, onMessage));
+      signal?.removeEventListener("abort", onAbort);
+    };
+
+    if (signal?.aborted) return finish(false);
+    events.forEach((event) => emitter.on(event, onMessage));
+    signal?.addEventListener("abort", onAbort);
+  });
+
+  return { ready, cancel };
+}
@@ -1,23 +1,171 @@
 import { encode } from "@msgpack/msgpack";
+import { notifyMessages } from "./notify.js";
+import { ensurePartitionTable, partitionTable, registeredPartitionCount } from "./topics.js";
 
-export function createProducer({ db, batchDelay = 10 }) {
+// 32-bit FNV-1a over the UTF-8 bytes of the key, stable across processes
+function hashKey(key) {
+  let hash = 0x811c9dc5;
+  for (const byte of new TextEncoder().encode(String(key))) {
+    hash ^= byte;
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Batching: a partition's batch is written `lingerMs` after its first message, or
+ * as soon as it reaches `maxBatchMessages` or `maxBatchBytes` of encoded values
+ * (`batchDelay` is the old name for `lingerMs`).
+ *
+ * Backpressure: at most `maxPendingMessages` messages are accepted and not yet
+ * written. Beyond that, send and sendBatch wait up to `blockMs` for earlier writes
+ * to settle, then reject; with `blockMs: 0` they reject right away.
+ *
+ * `onWrite` is called after every database write with
+ * { topic, messages, durationMs, error }, e.g. to record metrics.
+ */
+export function createProducer({
+  db,
+  lingerMs,
+  batchDelay,
+  maxBatchMessages = 1000,
+  maxBatchBytes = 1024 * 1024,
+  maxPendingMessages = Infinity,
+  blockMs = 5000,
+  topics = {},
+  onWrite
+}) {
+  const linger = lingerMs ?? batchDelay ?? 10;
   const ensuredTables = new Set();
-  const pendingBatches = new Map(); // key: "topic:partition", value: { messages, callbacks, timer }
+  const pendingBatches = new Map(); // key: "topic:partition", value: { messages, callbacks, bytes, timer }
+  const roundRobin = new Map(); // key: topic, value: next partition for unkeyed records
+  const partitionCounts = new Map(); // key: topic, value: promise of the registered partition count
+  const inFlight = { batches: 0, messages: 0 }; // writes sent to the database, not yet settled
+  const waiters = []; // sends waiting for room under maxPendingMessages, in arrival order
+  let admitted = 0; // messages accepted by send/sendBatch whose promise hasn't settled
+
+  function queueFull(count) {
+    return new Error(
+      `Producer queue is full: ${admitted} messages pending, ` +
+        `${count} more would exceed maxPendingMessages (${maxPendingMessages})`
+    );
+  }
+
+  // Let waiting sends in, oldest first, as far as there is room
+  function admitWaiters() {
+    while (waiters.length > 0 && admitted + waiters[0].count <= maxPendingMessages) {
+      const waiter = waiters.shift();
+      clearTimeout(waiter.timer);
+      admitted += waiter.count;
+      waiter.resolve();
+    }
+  }
+
+  // Resolves once `count` more messages fit under maxPendingMessages; pair with release()
+  function reserve(count) {
+    if (count > maxPendingMessages) {
+      return Promise.reject(queueFull(count));
+    }
+    if (waiters.length === 0 && admitted + count <= maxPendingMessages) {
+      admitted += count;
+      return Promise.resolve();
+    }
+    if (blockMs <= 0) {
+      return Promise.reject(queueFull(count));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { count, resolve, timer: null };
+      waiter.timer = setTimeout(() => {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        reject(queueFull(count));
+        // A large send giving up may make room for smaller ones behind it
+        admitWaiters();
+      }, blockMs);
+      waiters.push(waiter);
+    });
+  }
+
+  function release(count) {
+    admitted -= count;
+    admitWaiters();
+  }
+
+  async function reserved(count, fn) {
+    await reserve(count);
+    try {
+      return await fn();
+    } finally {
+      release(count);
+    }
+  }
+
+  // Wraps a database write so pending() counts it until it settles
+  async function write(topic, statements) {
+    const startedAt = performance.now();
+    let error = null;
+    inFlight.batches++;
+    inFlight.messages += statements.length;
+    try {
+      return await db.batch(statements);
+    } catch (err) {
+      error = err;
+      throw err;
+    } finally {
+      inFlight.batches--;
+      inFlight.messages -= statements.length;
+      onWrite?.({ topic, messages: statements.length, durationMs: performance.now() - startedAt, error });
+    }
+  }
 
   async function ensureTable(topic, partition) {
-    const tableName = `klite_${topic}_${partition}`;
+    const tableName = partitionTable(topic, partition);
     if (ensuredTables.has(tableName)) return;
 
-    await db.execute(`
-      CREATE TABLE IF NOT EXISTS "${tableName}" (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        data BLOB NOT NULL,
-        created DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+    await ensurePartitionTable(db, topic, partition);
     ensuredTables.add(tableName);
   }
 
+  async function lookupPartitionCount(topic) {
+    return (await registeredPartitionCount(db, topic)) ?? 1;
+  }
+
+  // Explicit config wins, then the klite_topics registry, then a single partition
+  function partitionCount(topic) {
+    if (topics[topic]?.partitions) return topics[topic].partitions;
+
+    if (!partitionCounts.has(topic)) {
+      const lookup = lookupPartitionCount(topic);
+      lookup.catch(() => partitionCounts.delete(topic));
+      partitionCounts.set(topic, lookup);
+    }
+    return partitionCounts.get(topic);
+  }
+
+  async function choosePartition(topic, key) {
+    const count = await partitionCount(topic);
+
+    if (key !== undefined && key !== null) {
+      return hashKey(key) % count;
+    }
+
+    const next = roundRobin.get(topic) || 0;
+    roundRobin.set(topic, (next + 1) % count);
+    return next;
+  }
+
+  // Values are encoded when they are queued, so batches can be measured in bytes
+  function encodeRecord(record) {
+    return { key: record.key ?? null, data: encode(record.value) };
+  }
+
+  function insertStatement(tableName, encoded) {
+    return {
+      sql: `INSERT INTO "${tableName}" (key, data) VALUES (?, ?)`,
+      args: [encoded.key, encoded.data],
+    };
+  }
+
   async function flushBatch(topic, partition) {
     const key = `${topic}:${partition}`;
     const pending = pendingBatches.get(key);
@@ -26,19 +174,17 @@ export function createProducer({ db, batchDelay = 10 }) {
     pendingBatches.delete(key);
     clearTimeout(pending.timer);
 
-    const tableName = `klite_${topic}_${partition}`;
-    const batch = pending.messages.map((msg) => ({
-      sql: `INSERT INTO "${tableName}" (data) VALUES (?)`,
-      args: [encode(msg)],
-    }));
+    const tableName = partitionTable(topic, partition);
+    const batch = pending.messages.map((msg) => insertStatement(tableName, msg));
 
     try {
-      const results = await db.batch(batch);
+      const results = await write(topic, batch);
       const firstOffset = Number(results[0].lastInsertRowid);
+      notifyMessages(db, topic, partition);
 
       // Resolve all callbacks with their respective offsets
       pending.callbacks.forEach((callback, index) => {
-        callback.resolve({ offset: firstOffset + index });
+        callback.resolve({ partition, offset: firstOffset + index });
       });
     } catch (error) {
       // Reject all callbacks
@@ -46,48 +192,81 @@ export function createProducer({ db, batchDelay = 10 }) {
     }
   }
 
-  async function send(topic, partition, data) {
+  // send(topic, partition, data) or send(topic, { key, value, partition? })
+  async function send(topic, partitionOrRecord, data) {
+    return reserved(1, () => enqueue(topic, partitionOrRecord, data));
+  }
+
+  async function enqueue(topic, partitionOrRecord, data) {
+    let partition;
+    let record;
+
+    if (typeof partitionOrRecord === "number") {
+      partition = partitionOrRecord;
+      record = { key: null, value: data };
+    } else {
+      record = { key: partitionOrRecord.key ?? null, value: partitionOrRecord.value };
+      partition = partitionOrRecord.partition ?? (await choosePartition(topic, record.key));
+    }
+
     await ensureTable(topic, partition);
 
+    const encoded = encodeRecord(record);
     const key = `${topic}:${partition}`;
     let pending = pendingBatches.get(key);
 
+    // A message that would push the batch over maxBatchBytes starts the next one
+    if (pending && pending.bytes + encoded.data.byteLength > maxBatchBytes) {
+      flushBatch(topic, partition);
+      pending = null;
+    }
+
     if (!pending) {
-      pending = { messages: [], callbacks: [], timer: null };
+      pending = { messages: [], callbacks: [], bytes: 0, timer: null };
       pendingBatches.set(key, pending);
+      // Measured from the first message, so steady traffic can't hold a batch back
+      pending.timer = setTimeout(() => {
+        flushBatch(topic, partition);
+      }, linger);
     }
 
     // Add message and create promise for this specific send
     const promise = new Promise((resolve, reject) => {
-      pending.messages.push(data);
+      pending.messages.push(encoded);
       pending.callbacks.push({ resolve, reject });
     });
+    pending.bytes += encoded.data.byteLength;
 
-    // Clear existing timer and set new one
-    if (pending.timer) {
-      clearTimeout(pending.timer);
-    }
-
-    pending.timer = setTimeout(() => {
+    if (pending.messages.length >= maxBatchMessages || pending.bytes >= maxBatchBytes) {
       flushBatch(topic, partition);
-    }, batchDelay);
+    }
 
     return promise;
   }
 
-  async function sendBatch(topic, partition, messages) {
+  // sendBatch(topic, partition, messages) or sendBatch(topic, [{ key, value, partition? }, ...]).
+  // Written right away in one transaction, whatever the batch limits
+  async function sendBatch(topic, partitionOrRecords, messages) {
+    if (Array.isArray(partitionOrRecords)) {
+      return reserved(partitionOrRecords.length, () => sendRecords(topic, partitionOrRecords));
+    }
+    return reserved(messages.length, () => sendPartitionBatch(topic, partitionOrRecords, messages));
+  }
+
+  async function sendPartitionBatch(topic, partition, messages) {
+
     await ensureTable(topic, partition);
 
     // For explicit batch sends, bypass the auto-batching and send immediately
-    const tableName = `klite_${topic}_${partition}`;
+    const tableName = partitionTable(topic, partition);
 
-    const batch = messages.map((msg) => ({
-      sql: `INSERT INTO "${tableName}" (data) VALUES (?)`,
-      args: [encode(msg)],
-    }));
+    const batch = messages.map((msg) =>
+      insertStatement(tableName, encodeRecord({ key: null, value: msg }))
+    );
 
-    const results = await db.batch(batch);
+    const results = await write(topic, batch);
     const firstOffset = Number(results[0].lastInsertRowid);
+    notifyMessages(db, topic, partition);
 
     return {
       firstOffset,
@@ -95,15 +274,56 @@ export function createProducer({ db, batchDelay = 10 }) {
     };
   }
 
+  // Keyed records may span partitions; they are written in one transaction
+  async function sendRecords(topic, records) {
+    if (records.length === 0) return { count: 0, offsets: [] };
+
+    const partitions = [];
+    for (const record of records) {
+      partitions.push(record.partition ?? (await choosePartition(topic, record.key)));
+    }
+    for (const partition of new Set(partitions)) {
+      await ensureTable(topic, partition);
+    }
+
+    const batch = records.map((record, i) =>
+      insertStatement(partitionTable(topic, partitions[i]), encodeRecord(record))
+    );
+
+    const results = await write(topic, batch);
+    new Set(partitions).forEach((partition) => notifyMessages(db, topic, partition));
+
+    return {
+      count: records.length,
+      offsets: results.map((result, i) => ({
+        partition: partitions[i],
+        offset: Number(result.lastInsertRowid),
+      })),
+    };
+  }
+
   // Flush all pending batches on shutdown
   async function flush() {
     const promises = [];
     for (const [key] of pendingBatches) {
-      const [topic, partition] = key.split(":");
+      const separator = key.lastIndexOf(":");
+      const topic = key.slice(0, separator);
+      const partition = Number(key.slice(separator + 1));
       promises.push(flushBatch(topic, partition));
     }
     await Promise.all(promises);
   }
 
-  return { send, sendBatch, flush };
+  // Batches and messages not yet written: waiting for lingerMs or in a database write
+  function pending() {
+    let batches = inFlight.batches;
+    let messages = inFlight.messages;
+    for (const batch of pendingBatches.values()) {
+      batches++;
+      messages += batch.messages.length;
+    }
+    return { batches, messages };
+  }
+
+  return { send, sendBatch, flush, pending };
 }
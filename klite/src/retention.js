@@ -0,0 +1,97 @@
+import { ensureTopicsTable, partitionTable } from "./topics.js";
+
+export function createCleaner({ db }) {
+  async function lowestCommittedOffset(topic, partition) {
+    try {
+      const result = await db.execute({
+        sql: `SELECT MIN(commit_offset) AS offset FROM klite_consumer_offsets
+              WHERE topic = ? AND partition = ?`,
+        args: [topic, partition],
+      });
+      const offset = result.rows[0].offset;
+      return offset === null ? null : Number(offset);
+    } catch (error) {
+      // No consumer has committed anything yet
+      if (error.message?.includes("no such table")) return null;
+      throw error;
+    }
+  }
+
+  async function cleanPartition(topic, partition, retention) {
+    const tableName = partitionTable(topic, partition);
+    const committed = await lowestCommittedOffset(topic, partition);
+
+    // Rows past the slowest consumer group are only removed when explicitly allowed
+    const limit = retention.deleteUncommitted ? Number.MAX_SAFE_INTEGER : committed;
+    if (limit === null) return 0;
+
+    const statements = [];
+
+    if (retention.deleteCommitted && committed !== null) {
+      statements.push({
+        sql: `DELETE FROM "${tableName}" WHERE id <= ?`,
+        args: [Math.min(committed, limit)],
+      });
+    }
+
+    if (retention.maxAgeMs) {
+      statements.push({
+        sql: `DELETE FROM "${tableName}" WHERE id <= ? AND created < datetime('now', ?)`,
+        args: [limit, `-${retention.maxAgeMs / 1000} seconds`],
+      });
+    }
+
+    if (retention.maxRows) {
+      statements.push({
+        sql: `DELETE FROM "${tableName}" WHERE id <= ? AND id <= (
+                SELECT id FROM "${tableName}" ORDER BY id DESC LIMIT 1 OFFSET ?
+              )`,
+        args: [limit, retention.maxRows],
+      });
+    }
+
+    if (retention.compact) {
+      // Keep only the newest message per key; unkeyed messages are left alone
+      statements.push({
+        sql: `DELETE FROM "${tableName}" WHERE id <= ? AND key IS NOT NULL AND id NOT IN (
+                SELECT MAX(id) FROM "${tableName}" WHERE key IS NOT NULL GROUP BY key
+              )`,
+        args: [limit],
+      });
+    }
+
+    if (statements.length === 0) return 0;
+
+    try {
+      const results = await db.batch(statements, "write");
+      return results.reduce((total, result) => total + result.rowsAffected, 0);
+    } catch (error) {
+      // Registered partition nobody has written to yet
+      if (error.message?.includes("no such table")) return 0;
+      throw error;
+    }
+  }
+
+  // Apply each registered topic's retention policy, returns rows deleted per partition
+  async function clean() {
+    await ensureTopicsTable(db);
+
+    const topics = await db.execute(`SELECT name, partitions, retention FROM klite_topics`);
+    const report = [];
+
+    for (const row of topics.rows) {
+      const retention = JSON.parse(row.retention);
+
+      for (let partition = 0; partition < Number(row.partitions); partition++) {
+        const deleted = await cleanPartition(row.name, partition, retention);
+        if (deleted > 0) {
+          report.push({ topic: row.name, partition, deleted });
+        }
+      }
+    }
+
+    return report;
+  }
+
+  return { clean, cleanPartition };
+}
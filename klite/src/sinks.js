@@ -0,0 +1,72 @@
+import { appendFile, mkdir } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+// A sink factory takes the group's sink config and returns
+// { description, deliver(batch) }, where deliver throws to signal failure.
+// batch is { batchId, topic, partition, group, messages: [{ offset, key, data, created }] }
+
+// `headers` are sent with every request, e.g. the receiver's credentials
+function createHttpSink({ endpoint, headers = {} }) {
+  if (!endpoint) throw new Error('http sink requires an endpoint');
+
+  return {
+    description: `Endpoint: ${endpoint}`,
+    async deliver({ batchId, topic, partition, group, messages }) {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          ...headers,
+          'Content-Type': 'application/json',
+          'Idempotency-Key': batchId
+        },
+        body: JSON.stringify({ batchId, topic, partition, group, messages })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Endpoint returned ${response.status}: ${await response.text()}`);
+      }
+    }
+  };
+}
+
+function createFunctionSink({ handler }) {
+  if (typeof handler !== 'function') throw new Error('function sink requires a handler');
+
+  return {
+    description: `Sink: function ${handler.name || '(anonymous)'}`,
+    async deliver(batch) {
+      await handler(batch);
+    }
+  };
+}
+
+function createFileSink({ path }) {
+  if (!path) throw new Error('file sink requires a path');
+
+  return {
+    description: `Sink: file ${path}`,
+    async deliver({ topic, partition, messages }) {
+      const lines = messages.map(msg => JSON.stringify({ topic, partition, ...msg }) + '\n');
+      await mkdir(dirname(path), { recursive: true });
+      await appendFile(path, lines.join(''));
+    }
+  };
+}
+
+export const builtinSinks = {
+  http: createHttpSink,
+  function: createFunctionSink,
+  file: createFileSink
+};
+
+// `endpoint` on its own is shorthand for an http sink
+export function createSink(groupConfig, sinks = {}) {
+  const sinkConfig = groupConfig.sink ?? { type: 'http', endpoint: groupConfig.endpoint };
+  const factory = sinks[sinkConfig.type] ?? builtinSinks[sinkConfig.type];
+
+  if (!factory) {
+    throw new Error(`Unknown sink type: ${sinkConfig.type}`);
+  }
+
+  return { type: sinkConfig.type, ...factory(sinkConfig) };
+}
@@ -0,0 +1,101 @@
+// Topic names end up inside SQL identifiers, so keep them to a safe charset
+const TOPIC_NAME = /^[A-Za-z0-9._-]{1,200}$/;
+
+export function validateTopicName(topic) {
+  if (typeof topic !== "string" || !TOPIC_NAME.test(topic)) {
+    throw new Error(
+      `Invalid topic name: ${JSON.stringify(topic)} (use 1-200 letters, digits, '.', '_' or '-')`
+    );
+  }
+}
+
+export function validatePartition(partition) {
+  if (!Number.isInteger(partition) || partition < 0) {
+    throw new Error(`Invalid partition: ${JSON.stringify(partition)}`);
+  }
+}
+
+export function partitionTable(topic, partition) {
+  validateTopicName(topic);
+  validatePartition(partition);
+  return `klite_${topic}_${partition}`;
+}
+
+export async function ensureTopicsTable(db) {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS klite_topics (
+      name VARCHAR PRIMARY KEY,
+      partitions INTEGER NOT NULL,
+      retention TEXT NOT NULL DEFAULT '{}',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+export async function ensurePartitionTable(db, topic, partition) {
+  const tableName = partitionTable(topic, partition);
+
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS "${tableName}" (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      key TEXT,
+      data BLOB NOT NULL,
+      created DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Tables created before message keys existed need the column added
+  const columns = await db.execute(`PRAGMA table_info("${tableName}")`);
+  if (!columns.rows.some((column) => column.name === "key")) {
+    await db.execute(`ALTER TABLE "${tableName}" ADD COLUMN key TEXT`);
+  }
+
+  return tableName;
+}
+
+// Lowest retained offset and highest offset ever written; deleted rows keep the high-water mark
+export async function partitionBounds(db, topic, partition) {
+  const tableName = partitionTable(topic, partition);
+
+  try {
+    const result = await db.execute({
+      sql: `SELECT
+              MIN(id) AS low_water_mark,
+              COALESCE(
+                (SELECT seq FROM sqlite_sequence WHERE name = ?),
+                MAX(id),
+                0
+              ) AS high_water_mark
+            FROM "${tableName}"`,
+      args: [tableName],
+    });
+    const row = result.rows[0];
+
+    const highWaterMark = Number(row.high_water_mark);
+    return {
+      lowWaterMark: row.low_water_mark === null ? highWaterMark + 1 : Number(row.low_water_mark),
+      highWaterMark,
+    };
+  } catch (error) {
+    // Table doesn't exist yet - nothing written
+    if (error.message?.includes("no such table")) {
+      return { lowWaterMark: 1, highWaterMark: 0 };
+    }
+    throw error;
+  }
+}
+
+// Partition count recorded in the klite_topics registry, or null for unregistered topics
+export async function registeredPartitionCount(db, topic) {
+  try {
+    const result = await db.execute({
+      sql: `SELECT partitions FROM klite_topics WHERE name = ?`,
+      args: [topic],
+    });
+    return result.rows.length > 0 ? Number(result.rows[0].partitions) : null;
+  } catch (error) {
+    // No topic registry yet
+    if (error.message?.includes("no such table")) return null;
+    throw error;
+  }
+}
@@ -1,4 +1,10 @@
 import { createConsumer } from './consumer.js';
+import { createProducer } from './producer.js';
+import { createCleaner } from './retention.js';
+import { watchPartitions } from './notify.js';
+import { createSink } from './sinks.js';
+import { createMembership } from './membership.js';
+import { registeredPartitionCount } from './topics.js';
 
 function parseInterval(interval) {
   const match = interval.match(/^(\d+)(ms|s|m)$/);
@@ -15,79 +21,389 @@ function parseInterval(interval) {
   }
 }
 
-async function processPartition(consumer, topic, partition, endpoint, batchSize) {
+function createRetryPolicy(retry) {
+  // Without a retry policy the batch is simply retried on the next interval
+  if (!retry) return null;
+
+  return {
+    maxAttempts: retry.maxAttempts ?? 5,
+    backoffMs: parseInterval(retry.backoff ?? '1s'),
+    maxBackoffMs: parseInterval(retry.maxBackoff ?? '1m')
+  };
+}
+
+function backoffDelay(policy, attempt) {
+  const ceiling = Math.min(policy.maxBackoffMs, policy.backoffMs * 2 ** (attempt - 1));
+  // Equal jitter: keep half of the delay, randomize the other half
+  return ceiling / 2 + Math.random() * (ceiling / 2);
+}
+
+async function sendToDeadLetter(ctx, partition, messages, error, attempts) {
+  const { producer, groupName, topic, deadLetterTopic } = ctx;
+  const failedAt = new Date().toISOString();
+
+  await producer.sendBatch(deadLetterTopic, 0, messages.map(msg => ({
+    topic,
+    partition,
+    group: groupName,
+    offset: msg.offset,
+    key: msg.key,
+    data: msg.data,
+    created: msg.created,
+    error: error.message,
+    attempts,
+    failedAt
+  })));
+}
+
+// Names the batch's offset range. A redelivery can cover more offsets, so receivers
+// deduplicate by offset rather than by id
+function batchIdFor(groupName, topic, partition, messages) {
+  return `${groupName}:${topic}:${partition}:${messages[0].offset}-${messages[messages.length - 1].offset}`;
+}
+
+// Another member took the partition over during the delivery: leave the batch uncommitted
+function lostPartition(ctx, partition) {
+  console.warn(`[${ctx.topic}:${partition}] Lease lost to another member of ${ctx.groupName}, batch not committed`);
+  ctx.partitionState.delete(partition);
+  return false;
+}
+
+// Resolves true when a full batch was handled, i.e. the partition probably has a backlog
+async function processPartition(ctx, partition) {
+  const { consumer, assignment, topic, groupName, sink, batchSize, retryPolicy, deadLetterTopic, onDelivery } = ctx;
+  if (!ctx.partitionState.has(partition)) {
+    ctx.partitionState.set(partition, { attempts: 0, retryAt: 0 });
+  }
+  const state = ctx.partitionState.get(partition);
+
+  // Still backing off from the previous failure
+  if (state.retryAt > Date.now()) return false;
+
   const messages = await consumer.fetch(topic, partition, { maxMessages: batchSize });
   
-  if (messages.length === 0) return;
+  if (messages.length === 0) return false;
+
+  const lastMessage = messages[messages.length - 1];
+  const startedAt = performance.now();
+  const report = error => onDelivery?.({
+    topic,
+    partition,
+    group: groupName,
+    sink: sink.type,
+    messages: messages.length,
+    durationMs: performance.now() - startedAt,
+    error
+  });
   
   try {
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        topic,
-        partition,
-        messages: messages.map(msg => ({
-          offset: msg.offset,
-          data: msg.data,
-          created: msg.created
-        }))
-      })
+    await sink.deliver({
+      batchId: batchIdFor(groupName, topic, partition, messages),
+      topic,
+      partition,
+      group: groupName,
+      messages: messages.map(msg => ({
+        offset: msg.offset,
+        key: msg.key,
+        data: msg.data,
+        created: msg.created
+      }))
     });
-    
-    if (response.ok) {
-      // Commit the highest offset
-      const lastMessage = messages[messages.length - 1];
-      await consumer.commit(topic, partition, lastMessage.offset);
-      console.log(`[${topic}:${partition}] Processed ${messages.length} messages, committed offset ${lastMessage.offset}`);
-    } else {
-      console.error(`[${topic}:${partition}] Endpoint returned ${response.status}: ${await response.text()}`);
-    }
   } catch (error) {
+    report(error);
     console.error(`[${topic}:${partition}] Error processing batch:`, error);
+    if (!retryPolicy) return false;
+
+    state.attempts++;
+    if (state.attempts < retryPolicy.maxAttempts || !deadLetterTopic) {
+      state.retryAt = Date.now() + backoffDelay(retryPolicy, state.attempts);
+      return false;
+    }
+
+    // Out of attempts: park the batch on the dead-letter topic and move on
+    if (!(await assignment.holds(partition))) return lostPartition(ctx, partition);
+    await sendToDeadLetter(ctx, partition, messages, error, state.attempts);
+    await consumer.commit(topic, partition, lastMessage.offset);
+    console.error(`[${topic}:${partition}] Moved ${messages.length} messages to ${deadLetterTopic} after ${state.attempts} attempts, committed offset ${lastMessage.offset}`);
+    state.attempts = 0;
+    state.retryAt = 0;
+    return messages.length === batchSize;
   }
+
+  report(null);
+
+  // The new owner fetches from the last commit; committing over it could skip its progress
+  if (!(await assignment.holds(partition))) return lostPartition(ctx, partition);
+
+  // Commit the highest offset
+  await consumer.commit(topic, partition, lastMessage.offset);
+  console.log(`[${topic}:${partition}] Processed ${messages.length} messages, committed offset ${lastMessage.offset}`);
+  state.attempts = 0;
+  state.retryAt = 0;
+  return messages.length === batchSize;
 }
 
-async function startConsumerGroup(db, topic, groupName, groupConfig, signal) {
+// Earliest time one of the partitions backing off from a failure is due again, or null
+function nextRetryAt(ctx, partitions) {
+  const pending = partitions
+    .map(partition => ctx.partitionState.get(partition)?.retryAt ?? 0)
+    .filter(retryAt => retryAt > 0);
+  return pending.length > 0 ? Math.min(...pending) : null;
+}
+
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    if (signal?.aborted) return resolve();
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Static groups always own their configured partitions. With `membership`, workers sharing
+// the database split the topic's partitions between them and rebalance as members come and go.
+function createAssignment(db, topic, groupName, groupConfig) {
+  const { partitions, membership } = groupConfig;
+
+  if (!membership) {
+    return {
+      heartbeatMs: Infinity,
+      current: async () => partitions,
+      keepAlive: () => () => {},
+      holds: async () => true,
+      leave: async () => {}
+    };
+  }
+
+  const sessionTimeoutMs = parseInterval(membership.sessionTimeout ?? '30s');
+  const heartbeatMs = membership.heartbeat ? parseInterval(membership.heartbeat) : Math.floor(sessionTimeoutMs / 3);
+  const member = createMembership({ db, group: groupName, topic, memberId: membership.memberId, sessionTimeoutMs });
+
+  let owned = [];
+  let syncedAt = 0;
+
+  async function allPartitions() {
+    if (partitions) return partitions;
+
+    const count = await registeredPartitionCount(db, topic);
+    if (!count) throw new Error(`Topic ${topic} is not registered; configure partitions for group ${groupName}`);
+    return Array.from({ length: count }, (_, i) => i);
+  }
+
+  return {
+    memberId: member.memberId,
+    heartbeatMs,
+    async current() {
+      if (Date.now() - syncedAt >= heartbeatMs) {
+        ({ owned } = await member.sync(await allPartitions()));
+        syncedAt = Date.now();
+      }
+      return owned;
+    },
+    // Renews the leases every heartbeat until the returned function is called, so a
+    // delivery running longer than the session keeps its partitions
+    keepAlive() {
+      const timer = setInterval(() => {
+        member.renew().catch(error => console.error(`[${groupName}] Failed to renew leases:`, error));
+      }, heartbeatMs);
+      return () => clearInterval(timer);
+    },
+    async holds(partition) {
+      if (await member.holds(partition)) return true;
+      // Rebalance on the next round rather than fetching the partition again
+      syncedAt = 0;
+      return false;
+    },
+    leave: () => member.leave()
+  };
+}
+
+async function startConsumerGroup(db, topic, groupName, groupConfig, sink, signal, status, onFirstRound, onDelivery) {
   const consumer = createConsumer({ db, group: groupName });
-  const { partitions, endpoint, batchSize, interval } = groupConfig;
+  const { partitions, batchSize, interval, retry, deadLetterTopic, membership } = groupConfig;
   const intervalMs = parseInterval(interval);
+  const retryPolicy = createRetryPolicy(retry);
+  const assignment = createAssignment(db, topic, groupName, groupConfig);
+
+  const ctx = {
+    consumer,
+    assignment,
+    producer: deadLetterTopic ? createProducer({ db }) : null,
+    topic,
+    groupName,
+    sink,
+    onDelivery,
+    batchSize,
+    retryPolicy,
+    deadLetterTopic,
+    partitionState: new Map()
+  };
   
   console.log(`Starting consumer group ${groupName} for topic ${topic}`);
-  console.log(`  Partitions: ${partitions.join(', ')}`);
-  console.log(`  Endpoint: ${endpoint}`);
+  if (membership) {
+    console.log(`  Partitions: ${partitions ? partitions.join(', ') : 'all'}, shared as member ${assignment.memberId}`);
+  } else {
+    console.log(`  Partitions: ${partitions.join(', ')}`);
+  }
+  console.log(`  ${sink.description}`);
   console.log(`  Batch size: ${batchSize}`);
   console.log(`  Interval: ${interval}`);
+  if (retryPolicy) {
+    console.log(`  Retry: ${retryPolicy.maxAttempts} attempts, backoff ${retry.backoff ?? '1s'} up to ${retry.maxBackoff ?? '1m'}`);
+  }
+  if (deadLetterTopic) {
+    console.log(`  Dead-letter topic: ${deadLetterTopic}`);
+  }
+
+  status.intervalMs = intervalMs;
+  status.memberId = assignment.memberId ?? null;
+  status.state = 'running';
   
-  // Process until stopped
-  while (!signal?.aborted) {
+  // Process until stopped; an in-flight round always finishes and commits first
+  while (!signal.aborted) {
+    let watcher = null;
+    const retryWait = new AbortController();
     try {
+      const assigned = await assignment.current();
+      status.assignedPartitions = assigned;
+
+      // Subscribe before fetching so a write during this round still wakes us up.
+      // Group members also wake up in time for their next heartbeat.
+      watcher = watchPartitions(db, topic, assigned, Math.min(intervalMs, assignment.heartbeatMs), signal);
+
       // Process all partitions in parallel
-      const promises = partitions.map(partition => 
-        processPartition(consumer, topic, partition, endpoint, batchSize)
+      const stopKeepAlive = assignment.keepAlive();
+      const promises = assigned.map(partition => 
+        processPartition(ctx, partition)
       );
-      await Promise.all(promises);
+      const backlog = await Promise.all(promises).finally(stopKeepAlive);
+      status.lastRunAt = Date.now();
+      status.lastError = null;
+      onFirstRound();
       
-      // Wait before next iteration
-      await new Promise(resolve => setTimeout(resolve, intervalMs));
+      // Drain a backlog back-to-back, otherwise wait for new messages, the interval
+      // or a failed batch's retry, whichever comes first
+      if (!backlog.some(Boolean)) {
+        const retryAt = nextRetryAt(ctx, assigned);
+        await Promise.race([
+          watcher.ready,
+          ...(retryAt === null ? [] : [sleep(retryAt - Date.now(), retryWait.signal)])
+        ]);
+      }
     } catch (error) {
       console.error(`[${groupName}] Unexpected error:`, error);
+      status.lastError = error.message;
+      onFirstRound();
       // Wait before retrying on error
-      await new Promise(resolve => setTimeout(resolve, intervalMs));
+      await sleep(intervalMs, signal);
+    } finally {
+      watcher?.cancel();
+      retryWait.abort();
+    }
+  }
+
+  // Hand partitions back right away instead of waiting for the lease to expire
+  try {
+    await assignment.leave();
+  } catch (error) {
+    console.error(`[${groupName}] Failed to leave group:`, error);
+  }
+
+  status.state = 'stopped';
+}
+
+async function startCleaner(db, cleanerConfig, signal) {
+  const cleaner = createCleaner({ db });
+  const intervalMs = parseInterval(cleanerConfig.interval);
+
+  console.log(`Starting retention cleaner every ${cleanerConfig.interval}`);
+
+  while (!signal.aborted) {
+    try {
+      const report = await cleaner.clean();
+      for (const { topic, partition, deleted } of report) {
+        console.log(`[${topic}:${partition}] Retention removed ${deleted} messages`);
+      }
+    } catch (error) {
+      console.error('[cleaner] Unexpected error:', error);
     }
+    await sleep(intervalMs, signal);
   }
 }
 
-export async function startWorker({ db, config, signal }) {
+/**
+ * Starts a loop per consumer group and returns once they are launched.
+ * `sinks` maps extra sink types to factories alongside the built-in http, function and file sinks.
+ * `onDelivery` is called after every sink delivery with
+ * { topic, partition, group, sink, messages, durationMs, error }.
+ * The handle exposes `ready` (every group finished its first round), `status()`,
+ * `addGroup()` / `removeGroup()` to start and stop groups while running, and
+ * `stop()`, which waits for in-flight batches to be delivered and committed.
+ * Aborting `signal` stops the worker as well.
+ */
+export async function startWorker({ db, config, signal, sinks, onDelivery }) {
   const { topics } = config;
   
   if (!topics) {
     throw new Error('No topics configured');
   }
+
+  const controller = new AbortController();
+  if (signal?.aborted) controller.abort();
+  signal?.addEventListener('abort', () => controller.abort(), { once: true });
   
-  const startPromises = [];
+  const firstRounds = [];
+  const groups = new Map(); // key: "topic/group", value: { status, controller, loop }
+
+  function launchGroup(topicName, groupName, groupConfig) {
+    const key = `${topicName}/${groupName}`;
+    if (groups.has(key)) {
+      throw new Error(`Consumer group ${groupName} is already running for topic ${topicName}`);
+    }
+
+    // Fail fast on a bad interval or sink instead of inside the loop
+    parseInterval(groupConfig.interval);
+    const sink = createSink(groupConfig, sinks);
+
+    const status = {
+      topic: topicName,
+      group: groupName,
+      partitions: groupConfig.partitions ?? null,
+      assignedPartitions: [],
+      memberId: null,
+      sink: sink.type,
+      state: 'starting',
+      intervalMs: null,
+      lastRunAt: null,
+      lastError: null
+    };
+
+    // Each group stops on its own for removeGroup, and with the worker
+    const groupController = new AbortController();
+    controller.signal.addEventListener('abort', () => groupController.abort(), {
+      once: true,
+      signal: groupController.signal
+    });
+
+    let onFirstRound;
+    const firstRound = new Promise(resolve => { onFirstRound = resolve; });
+    const loop = startConsumerGroup(db, topicName, groupName, groupConfig, sink, groupController.signal, status, onFirstRound, onDelivery)
+      .catch(error => {
+        console.error(`[${groupName}] Consumer group stopped:`, error);
+        status.state = 'failed';
+        status.lastError = error.message;
+        onFirstRound();
+      });
+
+    groups.set(key, { status, controller: groupController, loop });
+    return firstRound;
+  }
   
   for (const [topicName, topicConfig] of Object.entries(topics)) {
     const { consumerGroups } = topicConfig;
@@ -98,18 +414,58 @@ export async function startWorker({ db, config, signal }) {
     }
     
     for (const [groupName, groupConfig] of Object.entries(consumerGroups)) {
-      startPromises.push(
-        startConsumerGroup(db, topicName, groupName, groupConfig, signal)
-      );
+      firstRounds.push(launchGroup(topicName, groupName, groupConfig));
     }
   }
   
-  await Promise.all(startPromises);
-  console.log('Worker started successfully');
+  let cleaner = null;
+  if (config.cleaner) {
+    parseInterval(config.cleaner.interval);
+    cleaner = startCleaner(db, config.cleaner, controller.signal);
+  }
+
+  const stopped = Promise.all([...[...groups.values()].map(group => group.loop), cleaner]);
   
-  // Keep the process alive
-  process.on('SIGINT', () => {
-    console.log('Shutting down worker...');
-    process.exit(0);
-  });
-}
\ No newline at end of file
+  console.log('Worker started successfully');
+
+  /**
+   * Start another consumer group on the running worker. Resolves after its first
+   * round; throws right away if the group is already running or its config is invalid.
+   */
+  async function addGroup(topicName, groupName, groupConfig) {
+    if (controller.signal.aborted) {
+      throw new Error('Worker is stopped');
+    }
+    await launchGroup(topicName, groupName, groupConfig);
+  }
+
+  /**
+   * Stop one consumer group, waiting for its in-flight batch to be committed.
+   * Resolves to false if the group wasn't running.
+   */
+  async function removeGroup(topicName, groupName) {
+    const key = `${topicName}/${groupName}`;
+    const group = groups.get(key);
+    if (!group) return false;
+
+    group.controller.abort();
+    await group.loop;
+    groups.delete(key);
+    console.log(`Consumer group ${groupName} for topic ${topicName} stopped`);
+    return true;
+  }
+
+  async function stop() {
+    controller.abort();
+    await Promise.all([...[...groups.values()].map(group => group.loop), cleaner]);
+    console.log('Worker stopped');
+  }
+
+  return {
+    ready: Promise.race([Promise.all(firstRounds), stopped]).then(() => undefined),
+    status: () => [...groups.values()].map(({ status }) => ({ ...status })),
+    addGroup,
+    removeGroup,
+    stop
+  };
+}
@@ -0,0 +1,8 @@
+import { defineConfig } from 'vitest/config';
+
+// Stops vitest from using the application's config in the parent directory
+export default defineConfig({
+  test: {
+    include: ['spec/**/*.spec.js']
+  }
+});
@@ -0,0 +1,115 @@
+// In-process metrics rendered in the Prometheus text exposition format, see GET /metrics
+
+const metrics = new Map(); // key: metric name, value: { name, help, type, labelNames, series }
+const collectors = [];
+
+// Latency buckets in seconds, from a fast SQLite write to a slow DuckDB scan
+export const DURATION_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(pairs) {
+  if (pairs.length === 0) return "";
+  return `{${pairs.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+function register(name, help, type, labelNames) {
+  if (metrics.has(name)) {
+    throw new Error(`Metric ${name} is already registered`);
+  }
+  const metric = { name, help, type, labelNames, series: new Map() };
+  metrics.set(name, metric);
+  return metric;
+}
+
+// One series per combination of label values; missing labels are recorded as ""
+function seriesFor(metric, labels, create) {
+  const values = metric.labelNames.map((name) => labels[name] ?? "");
+  const key = JSON.stringify(values);
+  if (!metric.series.has(key)) metric.series.set(key, { values, ...create() });
+  return metric.series.get(key);
+}
+
+export function counter(name, help, labelNames = []) {
+  const metric = register(name, help, "counter", labelNames);
+  return {
+    inc(labels = {}, amount = 1) {
+      seriesFor(metric, labels, () => ({ value: 0 })).value += amount;
+    },
+  };
+}
+
+// Gauges filled by a collector are usually reset first, so removed partitions or groups disappear
+export function gauge(name, help, labelNames = []) {
+  const metric = register(name, help, "gauge", labelNames);
+  return {
+    set(labels, value) {
+      seriesFor(metric, labels, () => ({ value: 0 })).value = value;
+    },
+    reset() {
+      metric.series.clear();
+    },
+  };
+}
+
+export function histogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+  const metric = register(name, help, "histogram", labelNames);
+  metric.buckets = buckets;
+  return {
+    observe(labels, value) {
+      const series = seriesFor(metric, labels, () => ({
+        counts: buckets.map(() => 0),
+        sum: 0,
+        count: 0,
+      }));
+      buckets.forEach((bound, i) => {
+        if (value <= bound) series.counts[i]++;
+      });
+      series.sum += value;
+      series.count++;
+    },
+  };
+}
+
+/**
+ * Run `collect` before every render, for values that are cheaper to read on demand
+ * (queue depth, offsets) than to track as they change.
+ */
+export function onCollect(collect) {
+  collectors.push(collect);
+}
+
+function renderMetric(metric) {
+  const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+
+  for (const { values, ...series } of metric.series.values()) {
+    const labels = metric.labelNames.map((name, i) => [name, values[i]]);
+
+    if (metric.type !== "histogram") {
+      lines.push(`${metric.name}${formatLabels(labels)} ${series.value}`);
+      continue;
+    }
+    metric.buckets.forEach((bound, i) => {
+      const bucket = formatLabels([...labels, ["le", bound]]);
+      lines.push(`${metric.name}_bucket${bucket} ${series.counts[i]}`);
+    });
+    lines.push(`${metric.name}_bucket${formatLabels([...labels, ["le", "+Inf"]])} ${series.count}`);
+    lines.push(`${metric.name}_sum${formatLabels(labels)} ${series.sum}`);
+    lines.push(`${metric.name}_count${formatLabels(labels)} ${series.count}`);
+  }
+  return lines.join("\n");
+}
+
+// A failing collector is logged and skipped so the other metrics are still served
+export async function renderMetrics() {
+  for (const collect of collectors) {
+    try {
+      await collect();
+    } catch (err) {
+      console.error("Metrics collector error:", err);
+    }
+  }
+  return [...metrics.values()].map(renderMetric).join("\n\n") + "\n";
+}
@@ -0,0 +1,53 @@
+import { timingSafeEqual } from "crypto";
+import { config } from "../config.js";
+import { findApiKey } from "../db/tenants.js";
+
+// `Authorization: Bearer <token>`, or `X-API-Key: <token>` for clients that can't set Authorization
+function credentialFrom(req) {
+  const header = req.get("Authorization");
+  if (header?.startsWith("Bearer ")) return header.slice("Bearer ".length).trim();
+  return req.get("X-API-Key") || null;
+}
+
+/**
+ * Require an active API key with `scope`, and set req.tenant to the tenant it belongs to.
+ */
+export function requireApiKey(scope) {
+  return async (req, res, next) => {
+    try {
+      const apiKey = await findApiKey(credentialFrom(req));
+      if (!apiKey) {
+        return res.status(401).json({ message: "Missing or invalid API key" });
+      }
+      if (apiKey.scope !== scope) {
+        return res.status(403).json({ message: `API key lacks the ${scope} scope` });
+      }
+
+      req.tenant = apiKey.tenant;
+      req.apiKeyId = apiKey.id;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+function matches(token, expected) {
+  const a = Buffer.from(token);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+/**
+ * Require the internal credential (internalApiToken / INTERNAL_API_TOKEN), for
+ * operator-only routes. Without it configured every request is refused.
+ */
+export function requireInternal(req, res, next) {
+  const expected = config.internalApiToken;
+  const token = credentialFrom(req);
+
+  if (!expected || !token || !matches(token, expected)) {
+    return res.status(401).json({ message: "Missing or invalid internal credential" });
+  }
+  next();
+}
@@ -0,0 +1,76 @@
+import { createConsumer } from "../klite/src/index.js";
+
+/**
+ * Shed ingestion load while the queue can't keep up: when the producer has more
+ * than maxPendingMessages unwritten, or any of `groups` lags more than maxLag
+ * messages behind `topic`. Lag is sampled every intervalMs rather than per request.
+ */
+export function createBackpressure({
+  db,
+  producer,
+  topic,
+  groups,
+  partitions,
+  maxPendingMessages = 5000,
+  maxLag = 100_000,
+  intervalMs = 5000,
+}) {
+  const lags = new Map(); // key: group, value: total lag over `partitions`
+  let timer = null;
+
+  async function sample() {
+    for (const group of groups) {
+      const consumer = createConsumer({ db, group });
+      let total = 0;
+      for (const partition of partitions) {
+        total += (await consumer.lag(topic, partition)).lag;
+      }
+      lags.set(group, total);
+    }
+  }
+
+  async function tick() {
+    try {
+      await sample();
+    } catch (err) {
+      console.error("Backpressure lag sample error:", err);
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    tick();
+    timer = setInterval(tick, intervalMs);
+    timer.unref?.();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  function status() {
+    const pending = producer.pending().messages;
+    const lag = Object.fromEntries(lags);
+    const maxGroupLag = Math.max(0, ...lags.values());
+
+    let reason = null;
+    if (pending > maxPendingMessages) {
+      reason = `${pending} messages waiting to be written`;
+    } else if (maxGroupLag > maxLag) {
+      reason = `consumers are ${maxGroupLag} messages behind`;
+    }
+    return { overloaded: reason !== null, reason, pending, lag, maxPendingMessages, maxLag };
+  }
+
+  // Rejects with 503 while overloaded; clients retry after the next lag sample
+  function middleware(req, res, next) {
+    const { overloaded, reason } = status();
+    if (!overloaded) return next();
+
+    res.set("Retry-After", String(Math.ceil(intervalMs / 1000)));
+    res.status(503).json({ message: `Ingestion paused: ${reason}` });
+  }
+
+  return { start, stop, status, middleware };
+}
@@ -0,0 +1,94 @@
+/**
+ * In-memory token buckets. Each limit refills `rate` tokens per second up to
+ * `burst`; a request takes one token per unit of cost from every bucket it
+ * touches, or from none if any of them is short.
+ *
+ * limits: { [kind]: { rate, burst } }, e.g. { key: { rate: 200, burst: 2000 } }
+ */
+export function createRateLimiter(limits, { maxTracked = 100_000, now = Date.now } = {}) {
+  const buckets = new Map(); // key: "kind:id", value: { tokens, updatedAt }, least recently used first
+  const limited = new Map(); // key: "kind:id", value: { kind, id, rejected, lastLimitedAt }
+
+  for (const [kind, { rate, burst }] of Object.entries(limits)) {
+    if (!(rate > 0) || !(burst >= 1)) {
+      throw new Error(`Invalid rate limit for ${kind}: rate and burst must be positive`);
+    }
+  }
+
+  function refill(name, limit, time) {
+    const bucket = buckets.get(name) ?? { tokens: limit.burst, updatedAt: time };
+    const elapsed = Math.max(0, time - bucket.updatedAt) / 1000;
+    return { tokens: Math.min(limit.burst, bucket.tokens + elapsed * limit.rate), updatedAt: time };
+  }
+
+  // Idle buckets refill to full, which is the same as having none, so those go first
+  function evict(time) {
+    if (buckets.size <= maxTracked) return;
+
+    for (const [name, bucket] of buckets) {
+      const limit = limits[name.slice(0, name.indexOf(":"))];
+      if (refill(name, limit, time).tokens >= limit.burst) buckets.delete(name);
+    }
+    for (const name of buckets.keys()) {
+      if (buckets.size <= maxTracked) break;
+      buckets.delete(name);
+    }
+    for (const name of limited.keys()) {
+      if (limited.size <= maxTracked) break;
+      limited.delete(name);
+    }
+  }
+
+  function recordLimited(kind, id, time) {
+    const name = `${kind}:${id}`;
+    const entry = limited.get(name) ?? { kind, id: String(id), rejected: 0 };
+    limited.delete(name);
+    limited.set(name, { ...entry, rejected: entry.rejected + 1, lastLimitedAt: time });
+  }
+
+  /**
+   * Take `cost` tokens for each of [{ kind, id, cost = 1 }]. Returns null when all
+   * buckets had enough, otherwise { kind, id, retryAfter } (seconds) for the one
+   * that will take longest to refill. A cost above `burst` only needs a full bucket.
+   */
+  function take(requests) {
+    const time = now();
+    const refilled = [];
+    let worst = null;
+
+    for (const { kind, id, cost = 1 } of requests) {
+      const limit = limits[kind];
+      if (!limit || id === undefined || id === null) continue;
+
+      const name = `${kind}:${id}`;
+      const need = Math.min(cost, limit.burst);
+      const bucket = refill(name, limit, time);
+      refilled.push({ name, bucket, need });
+
+      if (bucket.tokens < need) {
+        const retryAfter = Math.ceil((need - bucket.tokens) / limit.rate);
+        if (!worst || retryAfter > worst.retryAfter) worst = { kind, id, retryAfter };
+      }
+    }
+
+    if (worst) recordLimited(worst.kind, worst.id, time);
+    for (const { name, bucket, need } of refilled) {
+      if (!worst) bucket.tokens -= need;
+      buckets.delete(name);
+      buckets.set(name, bucket);
+    }
+    evict(time);
+
+    return worst;
+  }
+
+  // Identities rejected most often since startup, for spotting runaway clients
+  function hotKeys(count = 20) {
+    return [...limited.values()]
+      .sort((a, b) => b.rejected - a.rejected)
+      .slice(0, count)
+      .map((entry) => ({ ...entry, lastLimitedAt: new Date(entry.lastLimitedAt).toISOString() }));
+  }
+
+  return { take, hotKeys, tracked: () => buckets.size };
+}
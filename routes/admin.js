@@ -0,0 +1,260 @@
+import express from "express";
+import { createConsumer } from "../klite/src/index.js";
+import { admin, db } from "../db/db.js";
+import { rewindExports } from "../db/ledger.js";
+import { rebuildRollups, ROLLUP_GROUP } from "../db/rollups.js";
+import {
+  createGroupDefinition,
+  deleteGroupDefinition,
+  getGroupDefinition,
+  groupStatus,
+  listGroupDefinitions,
+  setGroupPaused,
+  syncGroups,
+  updateGroupDefinition,
+} from "../db/consumerGroups.js";
+import { createApiKey, listApiKeys, revokeApiKey } from "../db/tenants.js";
+import { ingestBackpressure, ingestLimiter } from "./ingest.js";
+
+const router = express.Router();
+
+function statusFor(err) {
+  if (err.message?.startsWith("Unknown")) return 404;
+  if (err.message?.endsWith("already exists")) return 409;
+  if (err.message?.startsWith("Invalid")) return 400;
+  return 500;
+}
+
+function sendError(res, err) {
+  const status = statusFor(err);
+  if (status === 500) console.error("admin error:", err);
+  return res.status(status).json({ message: err.message });
+}
+
+// Partitions to act on: the one in the request, or every partition of the topic
+async function targetPartitions(topic, partition) {
+  const { partitionDetails } = await admin.describeTopic(topic);
+  const partitions = partitionDetails.map((p) => p.partition);
+
+  if (partition === undefined) return partitions;
+
+  const requested = Number(partition);
+  if (!partitions.includes(requested)) {
+    throw new Error(`Invalid partition ${partition} for topic ${topic}`);
+  }
+  return [requested];
+}
+
+router.get("/topics", async (req, res) => {
+  try {
+    res.json({ topics: await admin.listTopics() });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.get("/topics/:topic", async (req, res) => {
+  try {
+    res.json(await admin.describeTopic(req.params.topic));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+function withStatus(definition) {
+  return { ...definition, ...groupStatus(definition.name) };
+}
+
+/**
+ * Consumer groups stored in SQLite, started and stopped on the running worker as
+ * they change. Body: { name, topic, partitions?, sink: { type, endpoint? } | endpoint,
+ * batchSize?, interval? }. Groups from the config file are not listed here.
+ */
+router.get("/groups", async (req, res) => {
+  try {
+    res.json({ groups: (await listGroupDefinitions()).map(withStatus) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.post("/groups", async (req, res) => {
+  try {
+    const { name, ...definition } = req.body || {};
+    const group = await createGroupDefinition(name, definition);
+    await syncGroups();
+    res.status(201).json(withStatus(group));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.get("/groups/:group", async (req, res) => {
+  try {
+    res.json(withStatus(await getGroupDefinition(req.params.group)));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.patch("/groups/:group", async (req, res) => {
+  try {
+    const group = await updateGroupDefinition(req.params.group, req.body || {});
+    await syncGroups();
+    res.json(withStatus(group));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Pausing waits for the group's in-flight batch; resuming continues from its committed offsets
+router.post("/groups/:group/pause", async (req, res) => {
+  try {
+    const group = await setGroupPaused(req.params.group, true);
+    await syncGroups();
+    res.json(withStatus(group));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.post("/groups/:group/resume", async (req, res) => {
+  try {
+    const group = await setGroupPaused(req.params.group, false);
+    await syncGroups();
+    res.json(withStatus(group));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Also deletes the group's committed offsets; a group re-created under its name starts over
+router.delete("/groups/:group", async (req, res) => {
+  try {
+    const group = await deleteGroupDefinition(req.params.group);
+    await syncGroups();
+    res.json(group);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.get("/groups/:group/topics/:topic/lag", async (req, res) => {
+  try {
+    const { group, topic } = req.params;
+    const consumer = createConsumer({ db, group });
+    const partitions = await targetPartitions(topic, req.query.partition);
+
+    const lags = [];
+    for (const partition of partitions) {
+      lags.push(await consumer.lag(topic, partition));
+    }
+
+    res.json({
+      group,
+      topic,
+      totalLag: lags.reduce((total, p) => total + p.lag, 0),
+      partitions: lags,
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * Move a consumer group's position. Body takes a partition (default: all) and one of
+ * { offset }, { timestamp } or { position: "beginning" | "end" }.
+ * The running worker picks the new position up on its next fetch. The group's export
+ * ledger is rewound with it, so seeking `default` back writes those messages to
+ * parquet again, e.g. to replay a bad export after removing its files.
+ * The rollups group is refused: its counts aren't rewound, see /rollups/rebuild.
+ */
+router.post("/groups/:group/topics/:topic/seek", async (req, res) => {
+  try {
+    const { group, topic } = req.params;
+    if (group === ROLLUP_GROUP) {
+      return res.status(400).json({
+        message:
+          `Invalid seek: group ${ROLLUP_GROUP} would count replayed events twice; ` +
+          "use POST /admin/rollups/rebuild instead",
+      });
+    }
+    const { partition, offset, timestamp, position } = req.body || {};
+    const consumer = createConsumer({ db, group });
+
+    let seekTo;
+    if (offset !== undefined) {
+      seekTo = (p) => consumer.seek(topic, p, offset);
+    } else if (timestamp !== undefined) {
+      seekTo = (p) => consumer.seekToTimestamp(topic, p, timestamp);
+    } else if (position === "beginning") {
+      seekTo = (p) => consumer.seekToBeginning(topic, p);
+    } else if (position === "end") {
+      seekTo = (p) => consumer.seekToEnd(topic, p);
+    } else {
+      return res.status(400).json({
+        message:
+          'Invalid seek: provide offset, timestamp or position ("beginning" | "end")',
+      });
+    }
+
+    const partitions = await targetPartitions(topic, partition);
+    const positions = [];
+    for (const p of partitions) {
+      const position = await seekTo(p);
+      await rewindExports(group, topic, p, position.offset);
+      positions.push(position);
+    }
+
+    res.json({ group, topic, positions });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Seeking the rollups group alone would double count; this clears the rollups too
+router.post("/rollups/rebuild", async (req, res) => {
+  try {
+    await rebuildRollups();
+    res.status(202).json({ message: `Rebuilding rollups, group ${ROLLUP_GROUP} reset to the beginning` });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Clients hitting the ingestion rate limits most, and whether backpressure is shedding load
+router.get("/ingest/limits", (req, res) => {
+  res.json({
+    backpressure: ingestBackpressure.status(),
+    trackedBuckets: ingestLimiter.tracked(),
+    hotKeys: ingestLimiter.hotKeys(Number(req.query.limit) || 20),
+  });
+});
+
+// The plain key is only in this response; keep it, the database only stores its hash
+router.post("/tenants/:tenant/keys", async (req, res) => {
+  try {
+    const { name, scope } = req.body || {};
+    res.status(201).json(await createApiKey(req.params.tenant, { name, scope }));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.get("/tenants/:tenant/keys", async (req, res) => {
+  try {
+    res.json({ tenant: req.params.tenant, keys: await listApiKeys(req.params.tenant) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.delete("/keys/:id", async (req, res) => {
+  try {
+    res.json(await revokeApiKey(Number(req.params.id)));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+export default router;
@@ -0,0 +1,66 @@
+import express from "express";
+import * as parquetReports from "../db/analytics.js";
+import * as rollupReports from "../db/rollups.js";
+import { requireApiKey } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Reports are per tenant: a read key only ever sees its own tenant's events
+router.use(requireApiKey("read"));
+
+// Rollups answer from SQLite and cover what the analytics topic retains;
+// ?source=parquet scans the full exported history instead
+const sources = {
+  rollups: rollupReports,
+  parquet: parquetReports,
+};
+
+// Every report takes ?from=YYYY-MM-DD&to=YYYY-MM-DD&platform=&appVersion=&architecture=&source=
+function report(build) {
+  return async (req, res) => {
+    const { source = "rollups", ...params } = req.query;
+    // Own keys only, so ?source=toString or __proto__ is rejected rather than called
+    if (typeof source !== "string" || !Object.hasOwn(sources, source)) {
+      return res
+        .status(400)
+        .json({ message: `Invalid source: expected ${Object.keys(sources).join(" or ")}` });
+    }
+    const reports = sources[source];
+
+    let filters;
+    try {
+      filters = parquetReports.parseFilters({ ...params, tenant: req.tenant });
+    } catch (err) {
+      return res.status(400).json({ message: err.message });
+    }
+
+    try {
+      res.json({ source, filters, ...(await build(reports, filters)) });
+    } catch (err) {
+      console.error("analytics error:", err);
+      res.status(500).json({ message: "Analytics query failed" });
+    }
+  };
+}
+
+router.get(
+  "/versions",
+  report(async (reports, filters) => ({ versions: await reports.versionUsage(filters) }))
+);
+
+router.get(
+  "/versions/weekly",
+  report((reports, filters) => reports.weeklyVersionUsage(filters))
+);
+
+router.get(
+  "/platforms",
+  report(async (reports, filters) => ({ platforms: await reports.platformUsage(filters) }))
+);
+
+router.get(
+  "/active-users",
+  report((reports, filters) => reports.activeUsers(filters))
+);
+
+export default router;
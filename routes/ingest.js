@@ -0,0 +1,209 @@
+import express from "express";
+import bodyParser from "body-parser";
+import { config } from "../config.js";
+import { analyticsProducer, db, ANALYTICS_PARTITIONS } from "../db/db.js";
+import { counter } from "../metrics.js";
+import { validateEvent } from "../schema/events.js";
+import { requireApiKey } from "../middleware/auth.js";
+import { createBackpressure } from "../middleware/backpressure.js";
+import { createRateLimiter } from "../middleware/rateLimit.js";
+
+const MAX_BATCH_EVENTS = 1000;
+
+// Body limit for NDJSON batches here and for JSON app-wide in index.js
+export const MAX_BODY_SIZE = "1mb";
+
+// Keys and devices pay one token per event, so a full batch needs a full bucket;
+// IPs pay one per request and are checked before the API key lookup
+export const ingestLimiter = createRateLimiter(config.ingest.rateLimits);
+
+// Started and stopped with the worker in index.js
+export const ingestBackpressure = createBackpressure({
+  db,
+  producer: analyticsProducer,
+  topic: "analytics",
+  groups: Object.keys(config.consumerGroups),
+  partitions: Array.from({ length: ANALYTICS_PARTITIONS }, (_, i) => i),
+  ...config.ingest.backpressure,
+});
+
+const router = express.Router();
+
+const ingestRequests = counter(
+  "analytics_ingest_requests_total",
+  "Ingestion requests by route and response status",
+  ["route", "status"]
+);
+
+// Counted when the response is sent, so rate limiting and auth failures are included
+function countRequest(req, res, next) {
+  res.on("finish", () => ingestRequests.inc({ route: req.route?.path, status: res.statusCode }));
+  next();
+}
+
+const ndjson = bodyParser.text({ type: "application/x-ndjson", limit: MAX_BODY_SIZE });
+
+// One entry per line; unparsable lines are rejected individually instead of failing the batch
+function parseNdjson(text) {
+  return text
+    .split("\n")
+    .filter((line) => line.trim() !== "")
+    .map((line) => {
+      try {
+        return { event: JSON.parse(line) };
+      } catch (err) {
+        return { error: { field: "", message: "invalid JSON" } };
+      }
+    });
+}
+
+// A batch is a JSON array, an object with a `messages` array, or an NDJSON body
+function batchEntries(req) {
+  if (typeof req.body === "string") return parseNdjson(req.body);
+  if (Array.isArray(req.body)) return req.body.map((event) => ({ event }));
+  if (req.body && Array.isArray(req.body.messages)) {
+    return req.body.messages.map((event) => ({ event }));
+  }
+  return null;
+}
+
+// Tenant comes from the API key, never from the payload (the schemas strip unknown fields)
+function stamp(value, tenant) {
+  return { ...value, tenant };
+}
+
+// Keyed by tenant and device so each device's events stay ordered in one partition
+function recordFor(value) {
+  return { key: `${value.tenant}:${value.deviceId}`, value };
+}
+
+function tooManyRequests(res, { kind, retryAfter }) {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ message: `Rate limit exceeded for ${kind}`, retryAfter });
+}
+
+// The producer rejects sends it had no room for within producer.blockMs: shed them like backpressure
+function queueError(res, err, context) {
+  if (err.message.startsWith("Producer queue is full")) {
+    res.set("Retry-After", "1");
+    return res.status(503).json({ message: "Ingestion paused: the queue is full" });
+  }
+  console.error(`${context}:`, err);
+  return res.status(500).json({ message: "Queue error" });
+}
+
+function limitIp(req, res, next) {
+  const limited = ingestLimiter.take([{ kind: "ip", id: req.ip }]);
+  return limited ? tooManyRequests(res, limited) : next();
+}
+
+// Charges the API key and each device for its events; returns the limit hit, or null
+function takeEventTokens(req, events) {
+  const devices = new Map();
+  for (const event of events) {
+    if (typeof event?.deviceId !== "string") continue;
+    devices.set(event.deviceId, (devices.get(event.deviceId) ?? 0) + 1);
+  }
+
+  return ingestLimiter.take([
+    { kind: "key", id: req.apiKeyId, cost: events.length },
+    ...[...devices].map(([deviceId, cost]) => ({
+      kind: "device",
+      id: `${req.tenant}:${deviceId}`,
+      cost,
+    })),
+  ]);
+}
+
+async function ingestBatch(req, res, entries) {
+  if (entries.length === 0) {
+    return res.status(400).json({ message: "Empty batch" });
+  }
+  if (entries.length > MAX_BATCH_EVENTS) {
+    return res
+      .status(413)
+      .json({ message: `Batch exceeds ${MAX_BATCH_EVENTS} events` });
+  }
+
+  const limited = takeEventTokens(req, entries.map((entry) => entry.event));
+  if (limited) return tooManyRequests(res, limited);
+
+  const results = entries.map((entry, index) => {
+    if (entry.error) return { index, status: "rejected", errors: [entry.error] };
+
+    const { valid, value, errors } = validateEvent(entry.event);
+    return valid
+      ? { index, status: "accepted", value: stamp(value, req.tenant) }
+      : { index, status: "rejected", errors };
+  });
+
+  const accepted = results.filter((result) => result.status === "accepted");
+  if (accepted.length > 0) {
+    const { offsets } = await analyticsProducer.sendBatch(
+      "analytics",
+      accepted.map(({ value }) => recordFor(value))
+    );
+    accepted.forEach((result, i) => {
+      delete result.value;
+      Object.assign(result, offsets[i]);
+    });
+  }
+
+  return res.status(accepted.length > 0 ? 201 : 400).json({
+    message: `Stored ${accepted.length} of ${entries.length} events`,
+    accepted: accepted.length,
+    rejected: entries.length - accepted.length,
+    results,
+  });
+}
+
+const guards = [
+  countRequest,
+  limitIp,
+  requireApiKey("ingest"),
+  ingestBackpressure.middleware,
+  ndjson,
+];
+
+router.post("/", ...guards, async (req, res) => {
+  try {
+    const entries = batchEntries(req);
+    if (entries) return await ingestBatch(req, res, entries);
+
+    const limited = takeEventTokens(req, [req.body]);
+    if (limited) return tooManyRequests(res, limited);
+
+    const { valid, value: logEntry, errors } = validateEvent(req.body);
+
+    if (!valid) {
+      return res.status(400).json({ message: "Invalid event", errors });
+    }
+
+    const { partition, offset } = await analyticsProducer.send(
+      "analytics",
+      recordFor(stamp(logEntry, req.tenant))
+    );
+
+    res.status(201).json({ message: "Analytics stored", partition, offset });
+  } catch (err) {
+    queueError(res, err, "Send error");
+  }
+});
+
+router.post("/batch", ...guards, async (req, res) => {
+  try {
+    const entries = batchEntries(req);
+    if (!entries) {
+      return res.status(400).json({
+        message:
+          "Expected a JSON array, { messages: [...] } or an application/x-ndjson body",
+      });
+    }
+
+    await ingestBatch(req, res, entries);
+  } catch (err) {
+    queueError(res, err, "Batch send error");
+  }
+});
+
+export default router;
@@ -0,0 +1,20 @@
+import express from "express";
+import { admin, analyticsProducer, db } from "../db/db.js";
+import { collectQueueMetrics } from "../db/queueMetrics.js";
+import { renderMetrics } from "../metrics.js";
+
+const router = express.Router();
+
+collectQueueMetrics({ db, admin, producer: analyticsProducer });
+
+// Prometheus text format; scrape with the internal credential as a bearer token
+router.get("/", async (req, res) => {
+  try {
+    res.type("text/plain; version=0.0.4").send(await renderMetrics());
+  } catch (err) {
+    console.error("metrics error:", err);
+    res.status(500).json({ message: "Collecting metrics failed" });
+  }
+});
+
+export default router;
@@ -0,0 +1,156 @@
+import { validate } from "./validator.js";
+
+// Payloads without a `type` are the original device ping, unless they name an `event`
+export const DEFAULT_EVENT_TYPE = "device_ping";
+
+// Named product events (file_opened, export_clicked, ...) with free-form properties
+export const CUSTOM_EVENT_TYPE = "custom";
+
+/**
+ * Event schemas by type and version. Ingestion validates against these and the
+ * parquet writer derives its columns from them, so both always agree.
+ */
+const eventSchemas = {
+  device_ping: {
+    1: {
+      type: "object",
+      required: ["deviceId", "appVersion", "platform", "architecture"],
+      unknownFields: "strip",
+      properties: {
+        deviceId: { type: "string", minLength: 1, maxLength: 128 },
+        appVersion: { type: "string", minLength: 1, maxLength: 32, pattern: "^[0-9A-Za-z.+-]+$" },
+        platform: { type: "string", minLength: 1, maxLength: 32 },
+        architecture: { type: "string", minLength: 1, maxLength: 32 },
+        timestamp: {
+          type: "string",
+          format: "date-time",
+          default: () => new Date().toISOString(),
+        },
+      },
+    },
+  },
+  custom: {
+    1: {
+      type: "object",
+      required: ["event", "deviceId"],
+      unknownFields: "strip",
+      properties: {
+        event: { type: "string", minLength: 1, maxLength: 64, pattern: "^[A-Za-z][A-Za-z0-9_.:-]*$" },
+        deviceId: { type: "string", minLength: 1, maxLength: 128 },
+        sessionId: { type: "string", minLength: 1, maxLength: 128 },
+        appVersion: { type: "string", minLength: 1, maxLength: 32, pattern: "^[0-9A-Za-z.+-]+$" },
+        platform: { type: "string", minLength: 1, maxLength: 32 },
+        architecture: { type: "string", minLength: 1, maxLength: 32 },
+        timestamp: {
+          type: "string",
+          format: "date-time",
+          default: () => new Date().toISOString(),
+        },
+        properties: {
+          type: "object",
+          unknownFields: "keep",
+          maxProperties: 100,
+          values: { type: ["string", "number", "boolean"] },
+          default: () => ({}),
+        },
+      },
+    },
+  },
+};
+
+export function getEventSchema(type, version) {
+  const versions = Object.hasOwn(eventSchemas, type) ? eventSchemas[type] : {};
+  return Object.hasOwn(versions, version) ? versions[version] : null;
+}
+
+export function latestVersion(type) {
+  const schemas = Object.hasOwn(eventSchemas, type) ? eventSchemas[type] : {};
+  const versions = Object.keys(schemas).map(Number);
+  return versions.length > 0 ? Math.max(...versions) : null;
+}
+
+/**
+ * Validate an incoming event. `type` and `version` pick the schema and default
+ * to the latest device_ping, or to the latest custom event when `event` is set. Returns { valid, type, version, value, errors }
+ * where value is the cleaned event to enqueue, tagged with its type and version.
+ */
+export function validateEvent(payload) {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return { valid: false, errors: [{ field: "", message: "must be an object" }] };
+  }
+
+  const defaultType = payload.event !== undefined ? CUSTOM_EVENT_TYPE : DEFAULT_EVENT_TYPE;
+  const { type = defaultType, version = latestVersion(type), ...fields } = payload;
+  const schema = getEventSchema(type, version);
+
+  if (!schema) {
+    return {
+      valid: false,
+      type,
+      version,
+      errors: [{ field: "type", message: `unknown event type ${type} version ${version}` }],
+    };
+  }
+
+  const result = validate(schema, fields);
+  return {
+    valid: result.valid,
+    type,
+    version,
+    value: result.valid ? { type, version, ...result.value } : undefined,
+    errors: result.errors,
+  };
+}
+
+function columnType(rule) {
+  if (rule.format === "date-time") return "TIMESTAMP_MS";
+
+  switch (rule.type) {
+    case "integer":
+      return "BIGINT";
+    case "number":
+      return "DOUBLE";
+    case "boolean":
+      return "BOOLEAN";
+    case "object":
+      return "JSON";
+    default:
+      return "VARCHAR";
+  }
+}
+
+/**
+ * DuckDB column types of an event schema's parquet columns, by field name in
+ * schema order. DuckDB writes the export, so repetitive columns like event and
+ * platform get dictionary pages.
+ */
+export function parquetColumnsFor(type, version) {
+  const schema = getEventSchema(type, version);
+  if (!schema) throw new Error(`Unknown event type ${type} version ${version}`);
+
+  const columns = {};
+  for (const [name, rule] of Object.entries(schema.properties)) {
+    columns[name] = columnType(rule);
+  }
+  return columns;
+}
+
+/**
+ * Flatten a validated event into the generic custom-event shape the parquet
+ * export stores: other types become an event named after the type, with fields
+ * that aren't custom-event columns moved into `properties`.
+ */
+export function toEventRecord({ type, version, ...fields }) {
+  if (type === CUSTOM_EVENT_TYPE) return fields;
+
+  const columns = getEventSchema(CUSTOM_EVENT_TYPE, latestVersion(CUSTOM_EVENT_TYPE)).properties;
+  const record = { event: type, properties: {} };
+  for (const [name, value] of Object.entries(fields)) {
+    if (Object.hasOwn(columns, name) && name !== "event" && name !== "properties") {
+      record[name] = value;
+    } else {
+      record.properties[name] = value;
+    }
+  }
+  return record;
+}
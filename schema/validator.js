@@ -0,0 +1,139 @@
+// A small JSON-Schema-style validator. Supported keywords:
+// type (a name or a list of names), required, properties, unknownFields ("strip" | "keep" | "reject"),
+// values (rule for kept unknown fields), maxProperties, minLength, maxLength, pattern, enum,
+// format ("date-time"), minimum, maximum, default.
+
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Number.isNaN(value)) return "NaN";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (Array.isArray(type)) return type.some((t) => matchesType(value, t));
+
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+function validateValue(rule, value, path, errors) {
+  if (rule.type && !matchesType(value, rule.type)) {
+    const expected = Array.isArray(rule.type)
+      ? `${rule.type.slice(0, -1).join(", ")} or ${rule.type[rule.type.length - 1]}`
+      : rule.type;
+    errors.push({ field: path, message: `must be of type ${expected}` });
+    return undefined;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    errors.push({ field: path, message: `must be one of ${rule.enum.join(", ")}` });
+    return undefined;
+  }
+
+  if (typeof value === "string") {
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      errors.push({ field: path, message: `must be at least ${rule.minLength} characters` });
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      errors.push({ field: path, message: `must be at most ${rule.maxLength} characters` });
+    }
+    if (rule.pattern && !new RegExp(rule.pattern).test(value)) {
+      errors.push({ field: path, message: `must match ${rule.pattern}` });
+    }
+    if (rule.format === "date-time") {
+      if (!ISO_DATE_TIME.test(value) || Number.isNaN(Date.parse(value))) {
+        errors.push({ field: path, message: "must be an ISO 8601 date-time" });
+        return undefined;
+      }
+      return new Date(value).toISOString();
+    }
+  }
+
+  if (typeof value === "number") {
+    if (rule.minimum !== undefined && value < rule.minimum) {
+      errors.push({ field: path, message: `must be >= ${rule.minimum}` });
+    }
+    if (rule.maximum !== undefined && value > rule.maximum) {
+      errors.push({ field: path, message: `must be <= ${rule.maximum}` });
+    }
+  }
+
+  if (rule.type === "object") {
+    return validateObject(rule, value, path, errors);
+  }
+
+  return value;
+}
+
+function validateObject(rule, value, path, errors) {
+  const properties = rule.properties || {};
+  const policy = rule.unknownFields || "strip";
+  const result = {};
+
+  // Own fields only: names like `constructor` are inherited by every object
+  const own = (field) => (Object.hasOwn(value, field) ? value[field] : undefined);
+
+  for (const field of rule.required || []) {
+    if (own(field) === undefined || own(field) === null) {
+      errors.push({ field: path ? `${path}.${field}` : field, message: "is required" });
+    }
+  }
+
+  for (const [field, fieldRule] of Object.entries(properties)) {
+    const fieldPath = path ? `${path}.${field}` : field;
+    let fieldValue = own(field);
+
+    if (fieldValue === undefined || fieldValue === null) {
+      if (fieldRule.default === undefined) continue;
+      fieldValue = typeof fieldRule.default === "function" ? fieldRule.default() : fieldRule.default;
+    }
+
+    const validated = validateValue(fieldRule, fieldValue, fieldPath, errors);
+    if (validated !== undefined) result[field] = validated;
+  }
+
+  const fields = Object.keys(value);
+  if (rule.maxProperties !== undefined && fields.length > rule.maxProperties) {
+    errors.push({ field: path, message: `must have at most ${rule.maxProperties} fields` });
+  }
+
+  for (const field of fields) {
+    if (Object.hasOwn(properties, field)) continue;
+    // JSON.parse makes it a plain field, but assigning it would set the prototype
+    // and msgpack refuses to decode it, so it can't be kept
+    if (field === "__proto__" && policy === "keep") {
+      errors.push({ field: path ? `${path}.${field}` : field, message: "is not allowed" });
+    } else if (policy === "keep") {
+      const fieldPath = path ? `${path}.${field}` : field;
+      const kept = rule.values
+        ? validateValue(rule.values, value[field], fieldPath, errors)
+        : value[field];
+      if (kept !== undefined) result[field] = kept;
+    } else if (policy === "reject") {
+      errors.push({ field: path ? `${path}.${field}` : field, message: "is not allowed" });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Validate `value` against an object schema.
+ * Returns { valid, value, errors } where value has defaults applied,
+ * date-times normalized to ISO strings and unknown fields handled per policy.
+ */
+export function validate(schema, value) {
+  const errors = [];
+
+  if (typeOf(value) !== "object") {
+    return { valid: false, value: undefined, errors: [{ field: "", message: "must be an object" }] };
+  }
+
+  const result = validateObject(schema, value, "", errors);
+  return { valid: errors.length === 0, value: errors.length === 0 ? result : undefined, errors };
+}
@@ -0,0 +1,66 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import express from "express";
+import { createConsumer, createProducer } from "../klite/src/index.js";
+import { admin, db } from "../db/db.js";
+import { ROLLUP_GROUP } from "../db/rollups.js";
+import adminRouter from "../routes/admin.js";
+
+describe("admin routes", () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    await admin.createTopic("seekable", { partitions: 1 });
+    const producer = createProducer({ db, lingerMs: 0 });
+    for (let n = 1; n <= 3; n++) await producer.send("seekable", 0, { n });
+
+    const app = express();
+    app.use(express.json());
+    app.use("/admin", adminRouter);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  const seek = (group, body) =>
+    fetch(`${baseUrl}/admin/groups/${group}/topics/seekable/seek`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+
+  describe("POST /groups/:group/topics/:topic/seek", () => {
+    it("should move the group to the requested offset", async () => {
+      const res = await seek("replayer", { offset: 2 });
+
+      expect(res.status).toBe(200);
+      expect(await res.json()).toEqual({
+        group: "replayer",
+        topic: "seekable",
+        positions: [{ topic: "seekable", partition: 0, offset: 2 }],
+      });
+      const [next] = await createConsumer({ db, group: "replayer" }).fetch("seekable", 0);
+      expect(next.offset).toBe(2);
+    });
+
+    it("should refuse the rollups group and point to the rebuild", async () => {
+      const res = await seek(ROLLUP_GROUP, { position: "beginning" });
+
+      expect(res.status).toBe(400);
+      expect((await res.json()).message).toBe(
+        "Invalid seek: group rollups would count replayed events twice; " +
+          "use POST /admin/rollups/rebuild instead"
+      );
+      const offsets = await admin.listGroupOffsets();
+      expect(offsets.some((offset) => offset.group === ROLLUP_GROUP)).toBe(false);
+    });
+
+    it("should reject a seek without a target", async () => {
+      const res = await seek("replayer", {});
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
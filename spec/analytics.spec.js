@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import express from "express";
+import analyticsRouter from "../routes/analytics.js";
+import { createProducer } from "../klite/src/index.js";
+import { db } from "../db/db.js";
+import { writeBatchToParquet } from "../db/parquet.js";
+import { createRollupSink, ROLLUP_GROUP } from "../db/rollups.js";
+import { createApiKey } from "../db/tenants.js";
+
+// Queue `events`, then count them into the rollups and write them to parquet
+async function recordEvents(events) {
+  const producer = createProducer({ db, lingerMs: 0 });
+  const messages = [];
+  for (const data of events) {
+    const { offset } = await producer.send("analytics", 0, data);
+    messages.push({ offset, data });
+  }
+  const batch = { topic: "analytics", partition: 0, group: ROLLUP_GROUP, messages };
+  await createRollupSink().deliver(batch);
+  await writeBatchToParquet(messages);
+}
+
+describe("analytics routes", () => {
+  let server;
+  let baseUrl;
+  let key;
+
+  beforeAll(async () => {
+    ({ key } = await createApiKey("acme", { scope: "read" }));
+    const app = express();
+    app.use("/analytics", analyticsRouter);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  const get = (path) => fetch(`${baseUrl}${path}`, { headers: { "X-API-Key": key } });
+
+  it.each(["toString", "__proto__", "constructor", "hasOwnProperty"])(
+    "should reject the inherited property %s as a source",
+    async (source) => {
+      const res = await get(`/analytics/platforms?source=${source}`);
+
+      expect(res.status).toBe(400);
+      expect(await res.json()).toEqual({ message: "Invalid source: expected rollups or parquet" });
+    }
+  );
+
+  it("should answer from the rollups by default", async () => {
+    const res = await get("/analytics/platforms");
+
+    expect(res.status).toBe(200);
+    expect(await res.json()).toMatchObject({ source: "rollups", platforms: [] });
+  });
+
+  describe("with events from two tenants", () => {
+    let globexKey;
+
+    beforeAll(async () => {
+      ({ key: globexKey } = await createApiKey("globex", { scope: "read" }));
+      const ping = (tenant, platform, deviceId) => ({
+        type: "device_ping",
+        deviceId,
+        appVersion: "1.0.0",
+        platform,
+        architecture: "arm64",
+        timestamp: "2026-10-18T10:00:00.000Z",
+        tenant,
+      });
+      await recordEvents([
+        ping("acme", "macos", "a"),
+        ping("globex", "linux", "b"),
+        ping("globex", "linux", "c"),
+      ]);
+    });
+
+    // ?tenant= is ignored: the key decides
+    const platforms = async (source, apiKey) => {
+      const res = await fetch(`${baseUrl}/analytics/platforms?source=${source}&tenant=globex`, {
+        headers: { "X-API-Key": apiKey },
+      });
+      expect(res.status).toBe(200);
+      return (await res.json()).platforms;
+    };
+
+    it.each(["rollups", "parquet"])(
+      "should only report the key's tenant from the %s",
+      async (source) => {
+        expect(await platforms(source, key)).toEqual([{ platform: "macos", count: 1 }]);
+        expect(await platforms(source, globexKey)).toEqual([{ platform: "linux", count: 2 }]);
+      }
+    );
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import express from "express";
+import { config } from "../config.js";
+import { createApiKey, revokeApiKey } from "../db/tenants.js";
+import { requireApiKey, requireInternal } from "../middleware/auth.js";
+
+describe("auth middleware", () => {
+  let server;
+  let baseUrl;
+  const internalApiToken = config.internalApiToken;
+
+  beforeAll(async () => {
+    const app = express();
+    for (const scope of ["ingest", "read"]) {
+      app.get(`/${scope}`, requireApiKey(scope), (req, res) => res.json({ tenant: req.tenant }));
+    }
+    app.get("/internal", requireInternal, (req, res) => res.json({ ok: true }));
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => {
+    config.internalApiToken = internalApiToken;
+    return new Promise((resolve) => server.close(resolve));
+  });
+
+  const get = (path, headers = {}) => fetch(`${baseUrl}${path}`, { headers });
+
+  describe("requireApiKey", () => {
+    it("should set the key's tenant from either header", async () => {
+      const { key } = await createApiKey("acme");
+
+      for (const headers of [{ "X-API-Key": key }, { Authorization: `Bearer ${key}` }]) {
+        const res = await get("/ingest", headers);
+        expect(res.status).toBe(200);
+        expect(await res.json()).toEqual({ tenant: "acme" });
+      }
+    });
+
+    it("should refuse requests without a known key", async () => {
+      for (const headers of [{}, { "X-API-Key": "ak_unknown" }, { Authorization: "Basic abc" }]) {
+        const res = await get("/ingest", headers);
+        expect(res.status).toBe(401);
+        expect(await res.json()).toEqual({ message: "Missing or invalid API key" });
+      }
+    });
+
+    it("should refuse a revoked key", async () => {
+      const { id, key } = await createApiKey("acme");
+      expect((await get("/ingest", { "X-API-Key": key })).status).toBe(200);
+
+      await revokeApiKey(id);
+
+      expect((await get("/ingest", { "X-API-Key": key })).status).toBe(401);
+    });
+
+    it("should keep ingest keys away from reads and read keys away from ingestion", async () => {
+      const ingest = await createApiKey("acme");
+      const read = await createApiKey("acme", { scope: "read" });
+
+      const reading = await get("/read", { "X-API-Key": ingest.key });
+      const ingesting = await get("/ingest", { "X-API-Key": read.key });
+
+      expect(reading.status).toBe(403);
+      expect(await reading.json()).toEqual({ message: "API key lacks the read scope" });
+      expect(ingesting.status).toBe(403);
+      expect(await ingesting.json()).toEqual({ message: "API key lacks the ingest scope" });
+      expect((await get("/read", { "X-API-Key": read.key })).status).toBe(200);
+    });
+  });
+
+  describe("requireInternal", () => {
+    it("should refuse every request while no internal credential is configured", async () => {
+      config.internalApiToken = null;
+
+      expect((await get("/internal")).status).toBe(401);
+      expect((await get("/internal", { Authorization: "Bearer null" })).status).toBe(401);
+    });
+
+    it("should accept only the configured credential", async () => {
+      config.internalApiToken = "secret";
+      const { key } = await createApiKey("acme", { scope: "read" });
+
+      expect((await get("/internal", { Authorization: "Bearer secret" })).status).toBe(200);
+      expect((await get("/internal", { "X-API-Key": "secret" })).status).toBe(200);
+      expect((await get("/internal", { Authorization: "Bearer secre" })).status).toBe(401);
+      expect((await get("/internal", { "X-API-Key": key })).status).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import fs from "fs";
+import path from "path";
+import { compactParquet, readManifest, recoverCompaction } from "../db/compaction.js";
+import { query, sqlString } from "../db/duckdb.js";
+import { PARQUET_DIR, writeBatchToParquet } from "../db/parquet.js";
+
+const MANIFEST_FILE = path.join(PARQUET_DIR, "_compaction_manifest.jsonl");
+
+// A run as compactFiles leaves it when the process dies; `steps` are its manifest lines
+function interruptedRun(id, steps, { renamed }) {
+  const dir = path.join(PARQUET_DIR, `tenant=${id}`, "event_date=2026-10-19");
+  fs.mkdirSync(dir, { recursive: true });
+
+  const inputs = ["a", "b"].map((name) => path.join(dir, `analytics-${name}.parquet`));
+  const output = path.join(dir, `compacted-${id}.parquet`);
+  const tmp = path.join(dir, `.compacted-${id}.parquet.tmp`);
+  for (const input of inputs) fs.writeFileSync(input, "input");
+  fs.writeFileSync(renamed ? output : tmp, "merged");
+
+  const lines = steps.map((status) => JSON.stringify({ id, status, dir, inputs, output, tmp }));
+  fs.appendFileSync(MANIFEST_FILE, `${lines.join("\n")}\n`);
+  return { dir, inputs, output, tmp };
+}
+
+const runState = (id) => readManifest().find((run) => run.id === id);
+
+describe("compactParquet", () => {
+  beforeEach(() => {
+    fs.rmSync(PARQUET_DIR, { recursive: true, force: true });
+    fs.mkdirSync(PARQUET_DIR, { recursive: true });
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  it("should roll back a run that crashed before renaming its merged file", async () => {
+    const run = interruptedRun("before-rename", ["started"], { renamed: false });
+
+    await compactParquet({ dirs: [] });
+
+    expect(fs.existsSync(run.tmp)).toBe(false);
+    expect(fs.existsSync(run.output)).toBe(false);
+    expect(run.inputs.every((input) => fs.existsSync(input))).toBe(true);
+    expect(runState("before-rename")).toMatchObject({ status: "aborted", recovered: true });
+  });
+
+  it.each([
+    ["before recording the commit", ["started"]],
+    ["after recording the commit", ["started", "committed"]],
+  ])("should finish a run that crashed after the rename, %s", async (_, steps) => {
+    const run = interruptedRun("after-rename", steps, { renamed: true });
+
+    await compactParquet({ dirs: [] });
+
+    expect(fs.existsSync(run.output)).toBe(true);
+    expect(run.inputs.some((input) => fs.existsSync(input))).toBe(false);
+    expect(runState("after-rename")).toMatchObject({ status: "done", recovered: true });
+  });
+
+  it("should leave finished and aborted runs alone", async () => {
+    const done = interruptedRun("done", ["started", "committed", "done"], { renamed: true });
+    const aborted = interruptedRun("aborted", ["started", "aborted"], { renamed: false });
+
+    await compactParquet({ dirs: [] });
+
+    expect(done.inputs.every((input) => fs.existsSync(input))).toBe(true);
+    expect(fs.existsSync(aborted.tmp)).toBe(true);
+    expect(runState("done").recovered).toBeUndefined();
+    expect(runState("aborted").recovered).toBeUndefined();
+  });
+
+  it("should recover a run after a manifest line cut short by a crash", async () => {
+    const run = interruptedRun("cut-short", ["started"], { renamed: true });
+    fs.appendFileSync(MANIFEST_FILE, `{"id":"cut-short","status":"comm`);
+
+    await compactParquet({ dirs: [] });
+
+    expect(run.inputs.some((input) => fs.existsSync(input))).toBe(false);
+    expect(runState("cut-short")).toMatchObject({ status: "done", recovered: true });
+  });
+
+  it("should recover interrupted runs before the first compaction at startup", () => {
+    const run = interruptedRun("at-startup", ["started", "committed"], { renamed: true });
+
+    recoverCompaction();
+
+    expect(run.inputs.some((input) => fs.existsSync(input))).toBe(false);
+    expect(runState("at-startup")).toMatchObject({ status: "done", recovered: true });
+  });
+
+  it("should recover nothing before the parquet directory exists", () => {
+    fs.rmSync(PARQUET_DIR, { recursive: true, force: true });
+
+    expect(() => recoverCompaction()).not.toThrow();
+    expect(fs.existsSync(PARQUET_DIR)).toBe(false);
+  });
+
+  it("should merge the small files of a partition without losing rows", async () => {
+    const message = (n) => ({
+      data: { event: "open", deviceId: `d${n}`, timestamp: `2026-10-19T10:00:0${n}.000Z` },
+    });
+    await writeBatchToParquet([message(1), message(2)]);
+    await writeBatchToParquet([message(3)]);
+
+    const [run] = await compactParquet();
+
+    expect(run.inputs).toHaveLength(2);
+    expect(fs.readdirSync(run.dir)).toEqual([path.basename(run.output)]);
+    const rows = await query(`SELECT deviceId FROM read_parquet(${sqlString(run.output)})`);
+    expect(rows.map((row) => row.deviceId)).toEqual(["d1", "d2", "d3"]);
+    expect(runState(run.id).status).toBe("done");
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { loadConfig } from "../config.js";
+
+describe("loadConfig", () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "config-spec-"));
+  });
+
+  afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  function configFile(name, text) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, text);
+    return file;
+  }
+
+  it("should use the defaults without a file or environment variables", () => {
+    const config = loadConfig({ CONFIG_FILE: "" });
+
+    expect(config).toMatchObject({ port: 8000, parquetDir: "./parquet", file: null });
+    expect(Object.keys(config.consumerGroups)).toEqual(["default", "rollups"]);
+  });
+
+  it("should let the file override the defaults and the environment override the file", () => {
+    const file = configFile(
+      "precedence.yaml",
+      [
+        "port: 9000",
+        "dbFile: /data/file.sqlite",
+        "ingest:",
+        "  rateLimits:",
+        "    ip: { rate: 5, burst: 50 }",
+      ].join("\n")
+    );
+
+    const config = loadConfig({ CONFIG_FILE: file, PORT: "9100" });
+
+    expect(config.port).toBe(9100);
+    expect(config.dbFile).toBe("/data/file.sqlite");
+    expect(config.parquetDir).toBe("./parquet");
+    // Objects merge key by key, so the other limits keep their defaults
+    expect(config.ingest.rateLimits).toEqual({
+      key: { rate: 200, burst: 2000 },
+      device: { rate: 10, burst: 1000 },
+      ip: { rate: 5, burst: 50 },
+    });
+    expect(config.file).toBe(file);
+  });
+
+  it("should read YAML and JSON files alike", () => {
+    const yaml = configFile("same.yml", "analytics:\n  partitions: 8\ncors:\n  origin: [a, b]\n");
+    const json = configFile(
+      "same.json",
+      JSON.stringify({ analytics: { partitions: 8 }, cors: { origin: ["a", "b"] } })
+    );
+
+    const fromYaml = loadConfig({ CONFIG_FILE: yaml });
+    const fromJson = loadConfig({ CONFIG_FILE: json });
+
+    expect(fromYaml.analytics).toEqual({ partitions: 8, retentionDays: 30 });
+    expect({ ...fromYaml, file: null }).toEqual({ ...fromJson, file: null });
+  });
+
+  it("should treat an empty YAML file as no settings", () => {
+    const config = loadConfig({ CONFIG_FILE: configFile("empty.yaml", "") });
+
+    expect(config.port).toBe(8000);
+  });
+
+  it("should merge config-file groups into the built-in ones", () => {
+    const file = configFile(
+      "groups.yaml",
+      [
+        "consumerGroups:",
+        "  default:",
+        "    batchSize: 200",
+        "  audit:",
+        "    sink: { type: file, path: ./audit.ndjson }",
+      ].join("\n")
+    );
+
+    const { consumerGroups } = loadConfig({ CONFIG_FILE: file });
+
+    expect(Object.keys(consumerGroups)).toEqual(["default", "rollups", "audit"]);
+    expect(consumerGroups.default).toMatchObject({ sink: { type: "parquet" }, batchSize: 200 });
+    expect(consumerGroups.rollups.sink).toEqual({ type: "rollup" });
+  });
+
+  it.each(["null", "false"])("should refuse to disable a built-in group with %s", (value) => {
+    const file = configFile(`disabled-${value}.yaml`, `consumerGroups:\n  rollups: ${value}\n`);
+
+    expect(() => loadConfig({ CONFIG_FILE: file })).toThrow(
+      "consumerGroups.rollups must be of type object"
+    );
+  });
+
+  it("should parse numbers, rate limits and origin lists from the environment", () => {
+    const config = loadConfig({
+      CONFIG_FILE: "",
+      ANALYTICS_PARTITIONS: "8",
+      COMPACTION_INTERVAL_MS: "60000",
+      RATE_LIMIT_PER_KEY: "50/500",
+      RATE_LIMIT_PER_IP: "5",
+      CORS_ORIGIN: "https://a.example,https://b.example",
+      INTERNAL_API_TOKEN: "secret",
+    });
+
+    expect(config.analytics.partitions).toBe(8);
+    expect(config.compaction.intervalMs).toBe(60_000);
+    expect(config.ingest.rateLimits.key).toEqual({ rate: 50, burst: 500 });
+    expect(config.ingest.rateLimits.ip).toEqual({ rate: 5, burst: 5 });
+    expect(config.cors.origin).toEqual(["https://a.example", "https://b.example"]);
+    expect(config.internalApiToken).toBe("secret");
+  });
+
+  it("should ignore empty environment variables", () => {
+    expect(loadConfig({ CONFIG_FILE: "", PORT: "" }).port).toBe(8000);
+  });
+
+  it("should list every invalid setting", () => {
+    const file = configFile("invalid.json", '{"port": 0, "prot": 8000}');
+
+    const env = { CONFIG_FILE: file, COMPACTION_INTERVAL_MS: "10m", RATE_LIMIT_PER_KEY: "fast/10" };
+
+    expect(() => loadConfig(env)).toThrow(
+      `Invalid config (${file}): port must be >= 1; ` +
+        "ingest.rateLimits.key.rate must be of type number; " +
+        "compaction.intervalMs must be of type integer; prot is not allowed"
+    );
+  });
+
+  it("should name a file that can't be parsed", () => {
+    const file = configFile("broken.yaml", "port: [8000\n");
+
+    expect(() => loadConfig({ CONFIG_FILE: file })).toThrow(`Invalid config file ${file}: `);
+  });
+
+  it("should refuse a file that isn't an object", () => {
+    const file = configFile("list.json", "[1, 2]");
+
+    expect(() => loadConfig({ CONFIG_FILE: file })).toThrow(
+      `Invalid config file ${file}: expected an object`
+    );
+  });
+
+  it("should fail on a missing CONFIG_FILE", () => {
+    const file = path.join(dir, "missing.yaml");
+
+    expect(() => loadConfig({ CONFIG_FILE: file })).toThrow(`Invalid config file ${file}: ENOENT`);
+  });
+});
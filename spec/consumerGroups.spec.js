@@ -0,0 +1,105 @@
+import { describe, it, expect, vi, beforeAll } from "vitest";
+import { createConsumer } from "../klite/src/index.js";
+import { createMembership } from "../klite/src/membership.js";
+import { admin, db } from "../db/db.js";
+import { createGroupDefinition, deleteGroupDefinition, startGroupSync } from "../db/consumerGroups.js";
+
+const TOPIC = "group-spec";
+
+async function committedGroups() {
+  const offsets = await admin.listGroupOffsets();
+  return offsets.filter((offset) => offset.topic === TOPIC).map((offset) => offset.group);
+}
+
+beforeAll(() => admin.createTopic(TOPIC));
+
+describe("createGroupDefinition", () => {
+  it("should keep the headers of an http sink", async () => {
+    const sink = {
+      type: "http",
+      endpoint: "http://localhost:8000/export",
+      headers: { Authorization: "Bearer secret" },
+    };
+
+    const definition = await createGroupDefinition("with-headers", { topic: TOPIC, sink });
+
+    expect(definition.sink).toEqual(sink);
+  });
+
+  it("should take topic names with dots", async () => {
+    await admin.createTopic("analytics.dlq");
+
+    const definition = await createGroupDefinition("dead-letters", {
+      topic: "analytics.dlq",
+      endpoint: "http://localhost:1/hook",
+    });
+
+    expect(definition.topic).toBe("analytics.dlq");
+  });
+
+  it.each([
+    ["bad topic", "Invalid topic name"],
+    ["missing.topic", "Unknown topic: missing.topic"],
+  ])("should reject the topic %s", async (topic, message) => {
+    const input = { topic, endpoint: "http://localhost:1/hook" };
+
+    await expect(createGroupDefinition("bad-topic", input)).rejects.toThrow(message);
+  });
+
+  it("should reject header values that aren't strings", async () => {
+    const sink = { type: "http", endpoint: "http://localhost:1/hook", headers: { "X-Retries": 3 } };
+
+    await expect(createGroupDefinition("bad-headers", { topic: TOPIC, sink })).rejects.toThrow(
+      "Invalid consumer group: sink.headers.X-Retries must be of type string"
+    );
+  });
+});
+
+describe("deleteGroupDefinition", () => {
+  it("should delete the group's committed offsets so retention no longer waits for it", async () => {
+    await createGroupDefinition("deleted", { topic: TOPIC, endpoint: "http://localhost:1/hook" });
+    await createConsumer({ db, group: "deleted" }).commit(TOPIC, 0, 5);
+    await createConsumer({ db, group: "kept" }).commit(TOPIC, 0, 5);
+
+    await deleteGroupDefinition("deleted");
+
+    expect(await committedGroups()).toEqual(["kept"]);
+  });
+
+  it("should delete the group's members and partition leases", async () => {
+    await createGroupDefinition("left", { topic: TOPIC, endpoint: "http://localhost:1/hook" });
+    await createMembership({ db, group: "left", topic: TOPIC, memberId: "a" }).sync([0]);
+    await createMembership({ db, group: "stays", topic: TOPIC, memberId: "a" }).sync([0]);
+
+    await deleteGroupDefinition("left");
+
+    for (const table of ["klite_group_members", "klite_partition_owners"]) {
+      const result = await db.execute({
+        sql: `SELECT consumer_group FROM ${table} WHERE topic = ?`,
+        args: [TOPIC],
+      });
+      expect(result.rows.map((row) => row.consumer_group)).toEqual(["stays"]);
+    }
+  });
+
+  it("should delete offsets committed until the worker stopped the group", async () => {
+    await createGroupDefinition("stopping", { topic: TOPIC, endpoint: "http://localhost:1/hook" });
+    const worker = {
+      addGroup: vi.fn(async () => {}),
+      // The loop commits once more on its way out
+      removeGroup: vi.fn(async (topic, group) => {
+        await createConsumer({ db, group }).commit(topic, 0, 7);
+      }),
+      status: () => [],
+    };
+    const sync = startGroupSync(worker);
+    await sync.sync();
+
+    await deleteGroupDefinition("stopping");
+    await sync.sync();
+    await sync.stop();
+
+    expect(worker.removeGroup).toHaveBeenCalledWith(TOPIC, "stopping");
+    expect(await committedGroups()).not.toContain("stopping");
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, expect } from "vitest";
+import { createHealthChecks } from "../health.js";
+
+function groupStatus(topic, group, { lastRunAt = Date.now() } = {}) {
+  return { topic, group, state: "running", intervalMs: 1000, lastRunAt, lastError: null };
+}
+
+function checks({ offsets = [], statuses, liveGroups }) {
+  return createHealthChecks({
+    db: { batch: async () => [] },
+    admin: { listGroupOffsets: async () => offsets },
+    producer: { pending: () => ({ messages: 0 }) },
+    parquetDir: process.env.PARQUET_DIR,
+    getWorker: () => ({ worker: { status: () => statuses }, error: null }),
+    liveGroups,
+    maxLag: 100,
+  });
+}
+
+describe("readiness lag check", () => {
+  it("should leave out groups the worker is not running", async () => {
+    const health = checks({
+      offsets: [
+        { group: "parquet", topic: "analytics", partition: 0, lag: 10 },
+        { group: "parquet", topic: "analytics", partition: 1, lag: 5 },
+        { group: "deleted-hook", topic: "analytics", partition: 0, lag: 5000 },
+      ],
+      statuses: [groupStatus("analytics", "parquet")],
+    });
+
+    const { checks: results } = await health.readiness();
+
+    expect(results.lag).toEqual({ status: "ok", maxLag: 100, lag: { "analytics/parquet": 15 } });
+  });
+
+  it("should fail for a running group behind by more than maxLag", async () => {
+    const health = checks({
+      offsets: [{ group: "hook", topic: "events", partition: 0, lag: 101 }],
+      statuses: [groupStatus("events", "hook")],
+    });
+
+    const { checks: results } = await health.readiness();
+
+    expect(results.lag.status).toBe("fail");
+    expect(results.lag.error).toContain("events/hook");
+  });
+});
+
+describe("groups check", () => {
+  it("should keep a stalled group out of liveness unless it is one of liveGroups", async () => {
+    const health = checks({
+      statuses: [
+        groupStatus("analytics", "default"),
+        groupStatus("analytics", "slow-hook", { lastRunAt: Date.now() - 60_000 }),
+      ],
+      liveGroups: ["analytics/default"],
+    });
+
+    const liveness = await health.liveness();
+    const readiness = await health.readiness();
+
+    expect(liveness.status).toBe("ok");
+    expect(liveness.checks.groups.groups.map((group) => group.group)).toEqual(["default"]);
+    expect(readiness.checks.groups.status).toBe("fail");
+    expect(readiness.checks.groups.error).toContain("analytics/slow-hook no completed round");
+  });
+
+  it("should fail liveness for a stalled group in liveGroups", async () => {
+    const health = checks({
+      statuses: [groupStatus("analytics", "default", { lastRunAt: Date.now() - 60_000 })],
+      liveGroups: ["analytics/default"],
+    });
+
+    expect((await health.liveness()).status).toBe("fail");
+  });
+});
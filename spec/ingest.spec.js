@@ -0,0 +1,195 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import express from "express";
+import bodyParser from "body-parser";
+import { createConsumer } from "../klite/src/index.js";
+import { analyticsProducer, db } from "../db/db.js";
+import { createApiKey } from "../db/tenants.js";
+import ingestRouter, { MAX_BODY_SIZE } from "../routes/ingest.js";
+
+function ping(deviceId, fields = {}) {
+  return { deviceId, appVersion: "1.2.0", platform: "macos", architecture: "arm64", ...fields };
+}
+
+const toLine = (event) => JSON.stringify(event);
+
+// The queued event at each accepted result's partition and offset
+async function queued(results) {
+  await analyticsProducer.flush();
+  const consumer = createConsumer({ db, group: "ingest-spec" });
+  const events = [];
+  for (const { partition, offset } of results.filter((result) => result.status === "accepted")) {
+    await consumer.seek("analytics", partition, offset);
+    const [message] = await consumer.fetch("analytics", partition, { maxMessages: 1 });
+    events.push(message.data);
+  }
+  return events;
+}
+
+describe("ingest routes", () => {
+  let server;
+  let baseUrl;
+  let key;
+
+  beforeAll(async () => {
+    ({ key } = await createApiKey("acme"));
+    // As index.js sets it up
+    const app = express();
+    app.use(bodyParser.json({ limit: MAX_BODY_SIZE }));
+    app.use("/", ingestRouter);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  const post = (path, body, contentType = "application/json") =>
+    fetch(`${baseUrl}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": contentType, "X-API-Key": key },
+      body: typeof body === "string" ? body : JSON.stringify(body),
+    });
+
+  describe("POST /batch", () => {
+    it("should queue a JSON array with each event tagged with the key's tenant", async () => {
+      const res = await post("/batch", [ping("array-1"), ping("array-2", { tenant: "globex" })]);
+      const body = await res.json();
+
+      expect(res.status).toBe(201);
+      expect(body).toMatchObject({ message: "Stored 2 of 2 events", accepted: 2, rejected: 0 });
+      expect(body.results.map(({ index, status }) => ({ index, status }))).toEqual([
+        { index: 0, status: "accepted" },
+        { index: 1, status: "accepted" },
+      ]);
+      expect(await queued(body.results)).toMatchObject([
+        { deviceId: "array-1", tenant: "acme" },
+        { deviceId: "array-2", tenant: "acme" },
+      ]);
+    });
+
+    it("should accept an object with a messages array", async () => {
+      const res = await post("/batch", { messages: [ping("messages-1")] });
+
+      expect(res.status).toBe(201);
+      expect(await res.json()).toMatchObject({ accepted: 1, rejected: 0 });
+    });
+
+    it("should queue the valid events and report the invalid ones by index", async () => {
+      const batch = [ping("partial-1"), { deviceId: "partial-2" }, ping("partial-3")];
+
+      const res = await post("/batch", batch);
+      const body = await res.json();
+
+      expect(res.status).toBe(201);
+      expect(body).toMatchObject({ message: "Stored 2 of 3 events", accepted: 2, rejected: 1 });
+      expect(body.results[0]).toMatchObject({ index: 0, status: "accepted" });
+      expect(body.results[0].offset).toEqual(expect.any(Number));
+      expect(body.results[1]).toEqual({
+        index: 1,
+        status: "rejected",
+        errors: [
+          { field: "appVersion", message: "is required" },
+          { field: "platform", message: "is required" },
+          { field: "architecture", message: "is required" },
+        ],
+      });
+      expect((await queued(body.results)).map((event) => event.deviceId)).toEqual([
+        "partial-1",
+        "partial-3",
+      ]);
+    });
+
+    it("should answer 400 when no event is valid", async () => {
+      const res = await post("/batch", [{ deviceId: "invalid-1" }, "not an event"]);
+
+      expect(res.status).toBe(400);
+      expect(await res.json()).toMatchObject({ accepted: 0, rejected: 2 });
+    });
+
+    it("should queue NDJSON lines and reject the unparsable ones individually", async () => {
+      const lines = [toLine(ping("ndjson-1")), "{not json", "", toLine(ping("ndjson-2"))];
+
+      const res = await post("/batch", `${lines.join("\n")}\n`, "application/x-ndjson");
+      const body = await res.json();
+
+      expect(res.status).toBe(201);
+      expect(body).toMatchObject({ message: "Stored 2 of 3 events", accepted: 2, rejected: 1 });
+      expect(body.results[1]).toEqual({
+        index: 1,
+        status: "rejected",
+        errors: [{ field: "", message: "invalid JSON" }],
+      });
+      expect((await queued(body.results)).map((event) => event.deviceId)).toEqual([
+        "ndjson-1",
+        "ndjson-2",
+      ]);
+    });
+
+    it("should reject bodies that aren't a batch", async () => {
+      const res = await post("/batch", ping("single"));
+
+      expect(res.status).toBe(400);
+      expect(await res.json()).toEqual({
+        message: "Expected a JSON array, { messages: [...] } or an application/x-ndjson body",
+      });
+    });
+
+    it("should reject an empty batch", async () => {
+      const res = await post("/batch", []);
+
+      expect(res.status).toBe(400);
+      expect(await res.json()).toEqual({ message: "Empty batch" });
+    });
+
+    it("should take a full batch of 1000 events and refuse one more", async () => {
+      const batch = Array.from({ length: 1000 }, (_, i) => ping(`full-${i}`));
+
+      const full = await post("/batch", batch);
+      const over = await post("/batch", [...batch, ping("full-1000")]);
+
+      expect(full.status).toBe(201);
+      expect(await full.json()).toMatchObject({ accepted: 1000, rejected: 0 });
+      expect(over.status).toBe(413);
+      expect(await over.json()).toEqual({ message: "Batch exceeds 1000 events" });
+    });
+
+    it.each([
+      ["JSON", "application/json", (events) => JSON.stringify(events)],
+      ["NDJSON", "application/x-ndjson", (events) => events.map(toLine).join("\n")],
+    ])("should refuse a %s body over 1mb before validating it", async (_, contentType, encode) => {
+      const padding = "x".repeat(2000);
+      const events = Array.from({ length: 600 }, (_, i) => ping(`large-${i}`, { padding }));
+
+      const res = await post("/batch", encode(events), contentType);
+
+      expect(res.status).toBe(413);
+    });
+  });
+
+  describe("POST /", () => {
+    it("should queue a single event", async () => {
+      const res = await post("/", ping("single-1"));
+      const body = await res.json();
+
+      expect(res.status).toBe(201);
+      expect(body).toMatchObject({ message: "Analytics stored", partition: expect.any(Number) });
+      expect(await queued([{ status: "accepted", ...body }])).toMatchObject([
+        { deviceId: "single-1", tenant: "acme" },
+      ]);
+    });
+
+    it("should take a JSON array as a batch", async () => {
+      const res = await post("/", [ping("root-array-1"), { deviceId: "root-array-2" }]);
+
+      expect(res.status).toBe(201);
+      expect(await res.json()).toMatchObject({ accepted: 1, rejected: 1 });
+    });
+
+    it("should reject an invalid event with its errors", async () => {
+      const res = await post("/", { deviceId: "" });
+
+      expect(res.status).toBe(400);
+      expect(await res.json()).toMatchObject({ message: "Invalid event" });
+    });
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, it, expect, vi } from "vitest";
+import { createProducer } from "../klite/src/index.js";
+import { startWorker } from "../klite/src/worker.js";
+import { db } from "../db/db.js";
+import { exportNewMessages, exportOnce, rewindExports } from "../db/ledger.js";
+
+const written = () => vi.fn(async (messages) => ({ files: ["out.parquet"], count: messages.length }));
+
+function batch(group, offsets, { topic = "events", partition = 0 } = {}) {
+  return { group, topic, partition, messages: offsets.map((offset) => ({ offset, data: { offset } })) };
+}
+
+const offsetsOf = (exportFn) => exportFn.mock.calls.map(([messages]) => messages.map((msg) => msg.offset));
+
+describe("exportNewMessages", () => {
+  it("should export only the messages past the group's highest exported offset", async () => {
+    const exportFn = written();
+
+    const first = await exportNewMessages(batch("overlap", [1, 2]), exportFn);
+    const retry = await exportNewMessages(batch("overlap", [1, 2, 3, 4]), exportFn);
+
+    expect(offsetsOf(exportFn)).toEqual([[1, 2], [3, 4]]);
+    expect(first).toMatchObject({ count: 2, alreadyExported: 0, duplicate: false });
+    expect(retry).toMatchObject({ count: 2, alreadyExported: 2, duplicate: false });
+  });
+
+  it("should report a batch with nothing new as a duplicate without exporting", async () => {
+    const exportFn = written();
+
+    await exportNewMessages(batch("repeat", [5, 6]), exportFn);
+    const result = await exportNewMessages(batch("repeat", [5, 6]), exportFn);
+
+    expect(exportFn).toHaveBeenCalledTimes(1);
+    expect(result).toEqual({ files: [], count: 0, alreadyExported: 2, duplicate: true });
+  });
+
+  it("should track groups and partitions separately", async () => {
+    const exportFn = written();
+
+    await exportNewMessages(batch("a", [1, 2]), exportFn);
+    await exportNewMessages(batch("b", [1, 2]), exportFn);
+    await exportNewMessages(batch("a", [1, 2], { partition: 1 }), exportFn);
+
+    expect(offsetsOf(exportFn)).toEqual([[1, 2], [1, 2], [1, 2]]);
+  });
+
+  it("should not record the offsets of a failed export", async () => {
+    const failing = vi.fn().mockRejectedValueOnce(new Error("disk full"));
+    await expect(exportNewMessages(batch("failed", [1]), failing)).rejects.toThrow("disk full");
+
+    const exportFn = written();
+    await exportNewMessages(batch("failed", [1]), exportFn);
+    expect(offsetsOf(exportFn)).toEqual([[1]]);
+  });
+
+  it("should run concurrent exports for a partition one after the other", async () => {
+    const exportFn = written();
+
+    await Promise.all([
+      exportNewMessages(batch("concurrent", [1, 2]), exportFn),
+      exportNewMessages(batch("concurrent", [1, 2, 3]), exportFn),
+    ]);
+
+    expect(offsetsOf(exportFn)).toEqual([[1, 2], [3]]);
+  });
+
+  it("should not export twice when a batch is redelivered with messages that arrived since", async () => {
+    const producer = createProducer({ db, lingerMs: 0 });
+    const exportFn = written();
+    let attempts = 0;
+
+    const worker = await startWorker({
+      db,
+      config: {
+        topics: {
+          redelivery: {
+            consumerGroups: {
+              exporter: {
+                partitions: [0],
+                batchSize: 10,
+                interval: "20ms",
+                sink: {
+                  type: "function",
+                  // Exports, then fails the first time as a failed commit or a crash would
+                  handler: async (delivered) => {
+                    await exportNewMessages(delivered, exportFn);
+                    attempts++;
+                    if (attempts === 1) {
+                      await producer.send("redelivery", 0, { n: 2 });
+                      throw new Error("commit failed");
+                    }
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    });
+
+    await producer.send("redelivery", 0, { n: 1 });
+    await vi.waitFor(() => expect(attempts).toBeGreaterThanOrEqual(2), { timeout: 2000 });
+    await worker.stop();
+
+    expect(offsetsOf(exportFn)).toEqual([[1], [2]]);
+  });
+});
+
+describe("exportOnce", () => {
+  it("should run an export once per batch id", async () => {
+    const exportFn = vi.fn(async () => ({ files: ["a.parquet"], count: 3 }));
+
+    const first = await exportOnce("client-batch-1", exportFn);
+    const second = await exportOnce("client-batch-1", exportFn);
+
+    expect(exportFn).toHaveBeenCalledTimes(1);
+    expect(first).toEqual({ files: ["a.parquet"], count: 3, duplicate: false });
+    expect(second).toEqual({ files: ["a.parquet"], count: 3, duplicate: true });
+  });
+
+  it("should always run an export without a batch id", async () => {
+    const exportFn = vi.fn(async () => ({ files: [], count: 0 }));
+
+    await exportOnce(undefined, exportFn);
+    await exportOnce(undefined, exportFn);
+
+    expect(exportFn).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("rewindExports", () => {
+  it("should export messages again from the offset a group was seeked back to", async () => {
+    const exportFn = written();
+
+    await exportNewMessages(batch("seeked", [1, 2, 3, 4]), exportFn);
+    await rewindExports("seeked", "events", 0, 3);
+    await exportNewMessages(batch("seeked", [3, 4, 5]), exportFn);
+
+    expect(offsetsOf(exportFn)).toEqual([[1, 2, 3, 4], [3, 4, 5]]);
+  });
+
+  it("should leave the ledger alone when seeking past what was exported", async () => {
+    const exportFn = written();
+
+    await exportNewMessages(batch("skipped-ahead", [1, 2]), exportFn);
+    await rewindExports("skipped-ahead", "events", 0, 10);
+    await exportNewMessages(batch("skipped-ahead", [2, 10]), exportFn);
+
+    expect(offsetsOf(exportFn)).toEqual([[1, 2], [10]]);
+  });
+});
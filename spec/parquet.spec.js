@@ -0,0 +1,64 @@
+import { describe, it, expect } from "vitest";
+import fs from "fs";
+import path from "path";
+import { query, sqlString } from "../db/duckdb.js";
+import { writeBatchToParquet } from "../db/parquet.js";
+
+function message(offset, fields) {
+  return {
+    offset,
+    data: { type: "custom", deviceId: `d${offset % 5}`, timestamp: "2026-10-19T10:00:00.000Z", ...fields },
+  };
+}
+
+describe("writeBatchToParquet", () => {
+  it("should write one file per tenant and event date with the event columns", async () => {
+    const { files, count, skipped } = await writeBatchToParquet([
+      message(1, { event: "open", tenant: "acme", properties: { plan: "pro" } }),
+      message(2, { event: "open", tenant: "acme", timestamp: "2026-10-18T23:59:59.000Z" }),
+      message(3, { event: "close", tenant: "globex" }),
+      message(4, { event: "not a valid name" }),
+    ]);
+
+    expect({ count, skipped }).toEqual({ count: 3, skipped: 1 });
+    expect(files.map((file) => path.dirname(file).split("/").slice(-2).join("/")).sort()).toEqual([
+      "tenant=acme/event_date=2026-10-18",
+      "tenant=acme/event_date=2026-10-19",
+      "tenant=globex/event_date=2026-10-19",
+    ]);
+    for (const file of files) {
+      expect(fs.readdirSync(path.dirname(file))).toEqual([path.basename(file)]);
+    }
+
+    const acme = files.find((file) => file.includes("tenant=acme/event_date=2026-10-19"));
+    const [row] = await query(`SELECT * FROM read_parquet(${sqlString(acme)}, hive_partitioning = false)`);
+    expect(row).toMatchObject({ event: "open", deviceId: "d1", platform: null });
+    expect(new Date(row.timestamp).toISOString()).toBe("2026-10-19T10:00:00.000Z");
+    expect(JSON.parse(row.properties)).toEqual({ plan: "pro" });
+    expect(Object.keys(row)).toEqual([
+      "event",
+      "deviceId",
+      "sessionId",
+      "appVersion",
+      "platform",
+      "architecture",
+      "timestamp",
+      "properties",
+    ]);
+  });
+
+  it("should dictionary-encode repetitive columns", async () => {
+    const messages = Array.from({ length: 200 }, (_, i) =>
+      message(i, { event: i % 2 ? "open" : "close", platform: "macos", tenant: "dictionary" })
+    );
+
+    const { files } = await writeBatchToParquet(messages);
+
+    const columns = await query(
+      `SELECT path_in_schema AS name, encodings FROM parquet_metadata(${sqlString(files[0])})`
+    );
+    const encodings = Object.fromEntries(columns.map((column) => [column.name, column.encodings]));
+    expect(encodings.event).toMatch(/DICTIONARY/);
+    expect(encodings.platform).toMatch(/DICTIONARY/);
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it, expect } from "vitest";
+import { createRateLimiter } from "../middleware/rateLimit.js";
+
+function limiterAt(limits, options = {}) {
+  const clock = { time: 0 };
+  const limiter = createRateLimiter(limits, { ...options, now: () => clock.time });
+  return { limiter, clock };
+}
+
+describe("createRateLimiter", () => {
+  it("should allow a burst, then reject with the seconds until a token is back", () => {
+    const { limiter } = limiterAt({ key: { rate: 2, burst: 3 } });
+
+    for (let i = 0; i < 3; i++) expect(limiter.take([{ kind: "key", id: "a" }])).toBeNull();
+
+    expect(limiter.take([{ kind: "key", id: "a" }])).toEqual({ kind: "key", id: "a", retryAfter: 1 });
+  });
+
+  it("should refill at `rate` tokens per second up to `burst`", () => {
+    const { limiter, clock } = limiterAt({ key: { rate: 2, burst: 3 } });
+    limiter.take([{ kind: "key", id: "a", cost: 3 }]);
+
+    clock.time = 500;
+    expect(limiter.take([{ kind: "key", id: "a" }])).toBeNull();
+    expect(limiter.take([{ kind: "key", id: "a" }])).not.toBeNull();
+
+    clock.time = 60_000;
+    expect(limiter.take([{ kind: "key", id: "a", cost: 3 }])).toBeNull();
+    expect(limiter.take([{ kind: "key", id: "a" }])).not.toBeNull();
+  });
+
+  it("should round retryAfter up to whole seconds for the missing tokens", () => {
+    const { limiter, clock } = limiterAt({ key: { rate: 0.5, burst: 10 } });
+    limiter.take([{ kind: "key", id: "a", cost: 10 }]);
+
+    // 4 tokens short at half a token per second
+    expect(limiter.take([{ kind: "key", id: "a", cost: 4 }]).retryAfter).toBe(8);
+
+    clock.time = 1000;
+    expect(limiter.take([{ kind: "key", id: "a", cost: 4 }]).retryAfter).toBe(7);
+  });
+
+  it("should take from no bucket when any of them is short", () => {
+    const { limiter } = limiterAt({ key: { rate: 1, burst: 5 }, device: { rate: 1, burst: 1 } });
+    const request = [
+      { kind: "key", id: "k" },
+      { kind: "device", id: "d" },
+    ];
+
+    expect(limiter.take(request)).toBeNull();
+    expect(limiter.take(request)).toEqual({ kind: "device", id: "d", retryAfter: 1 });
+
+    // The rejected request left the key bucket at 4 tokens
+    expect(limiter.take([{ kind: "key", id: "k", cost: 4 }])).toBeNull();
+  });
+
+  it("should report the bucket that takes longest to refill", () => {
+    const { limiter } = limiterAt({ key: { rate: 1, burst: 2 }, tenant: { rate: 1, burst: 10 } });
+    limiter.take([
+      { kind: "key", id: "k", cost: 2 },
+      { kind: "tenant", id: "t", cost: 10 },
+    ]);
+
+    const rejected = limiter.take([
+      { kind: "key", id: "k", cost: 2 },
+      { kind: "tenant", id: "t", cost: 5 },
+    ]);
+
+    expect(rejected).toEqual({ kind: "tenant", id: "t", retryAfter: 5 });
+  });
+
+  it("should only need a full bucket for a cost above burst", () => {
+    const { limiter, clock } = limiterAt({ key: { rate: 10, burst: 20 } });
+
+    expect(limiter.take([{ kind: "key", id: "a", cost: 100 }])).toBeNull();
+    expect(limiter.take([{ kind: "key", id: "a", cost: 100 }])).toEqual({
+      kind: "key",
+      id: "a",
+      retryAfter: 2,
+    });
+
+    clock.time = 2000;
+    expect(limiter.take([{ kind: "key", id: "a", cost: 100 }])).toBeNull();
+  });
+
+  it("should skip limits that aren't configured and requests without an id", () => {
+    const { limiter } = limiterAt({ key: { rate: 1, burst: 1 } });
+
+    for (let i = 0; i < 3; i++) {
+      expect(limiter.take([{ kind: "ip", id: "1.2.3.4" }, { kind: "key", id: undefined }])).toBeNull();
+    }
+    expect(limiter.tracked()).toBe(0);
+  });
+
+  it("should keep track of at most maxTracked buckets, dropping full ones first", () => {
+    const { limiter, clock } = limiterAt({ key: { rate: 1, burst: 2 } }, { maxTracked: 2 });
+    limiter.take([{ kind: "key", id: "busy", cost: 2 }]);
+    limiter.take([{ kind: "key", id: "idle" }]);
+
+    // "idle" is full again, "busy" is still a token short
+    clock.time = 1000;
+    limiter.take([{ kind: "key", id: "new" }]);
+
+    expect(limiter.tracked()).toBe(2);
+    expect(limiter.take([{ kind: "key", id: "busy", cost: 2 }])).not.toBeNull();
+  });
+
+  it("should list the most rejected identities", () => {
+    const { limiter } = limiterAt({ key: { rate: 1, burst: 1 } });
+    for (const id of ["a", "b", "b", "b", "c", "c"]) limiter.take([{ kind: "key", id }]);
+
+    expect(limiter.hotKeys(2)).toEqual([
+      { kind: "key", id: "b", rejected: 2, lastLimitedAt: new Date(0).toISOString() },
+      { kind: "key", id: "c", rejected: 1, lastLimitedAt: new Date(0).toISOString() },
+    ]);
+  });
+
+  it("should reject limits without a positive rate and burst", () => {
+    expect(() => createRateLimiter({ key: { rate: 0, burst: 10 } })).toThrow(
+      "Invalid rate limit for key: rate and burst must be positive"
+    );
+    expect(() => createRateLimiter({ key: { rate: 1, burst: 0 } })).toThrow("Invalid rate limit for key");
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect, vi } from "vitest";
+import { createProducer } from "../klite/src/index.js";
+import { admin, db } from "../db/db.js";
+import { createRollupSink, rebuildRollups, ROLLUP_GROUP } from "../db/rollups.js";
+
+const producer = createProducer({ db, lingerMs: 0 });
+
+function event(offset, tenant) {
+  return {
+    type: "custom",
+    event: "open",
+    deviceId: `d${offset}`,
+    timestamp: "2026-10-19T10:00:00.000Z",
+    tenant,
+  };
+}
+
+// Each test uses its own partition and tenant, since they share one database
+function partitionFor(partition, tenant) {
+  return {
+    async produce(count) {
+      for (let offset = 1; offset <= count; offset++) {
+        await producer.send("analytics", partition, event(offset, tenant));
+      }
+    },
+    batch(offsets) {
+      return {
+        topic: "analytics",
+        partition,
+        group: ROLLUP_GROUP,
+        messages: offsets.map((offset) => ({ offset, data: event(offset, tenant) })),
+      };
+    },
+    async countedEvents() {
+      const result = await db.execute({
+        sql: `SELECT COALESCE(SUM(events), 0) AS events FROM rollup_daily_counts WHERE tenant = ?`,
+        args: [tenant],
+      });
+      return Number(result.rows[0].events);
+    },
+  };
+}
+
+async function committedOffset(partition) {
+  const offsets = await admin.listGroupOffsets();
+  const entry = offsets.find(
+    (offset) => offset.group === ROLLUP_GROUP && offset.topic === "analytics" && offset.partition === partition
+  );
+  return entry?.committedOffset ?? null;
+}
+
+describe("createRollupSink", () => {
+  it("should count each offset once when a batch is redelivered with more messages", async () => {
+    const partition = partitionFor(1, "redelivered");
+    await partition.produce(3);
+    const sink = createRollupSink();
+
+    await sink.deliver(partition.batch([1, 2]));
+    await sink.deliver(partition.batch([1, 2, 3]));
+    await sink.deliver(partition.batch([1, 2, 3]));
+
+    expect(await partition.countedEvents()).toBe(3);
+  });
+
+  it("should rewind the group to the applied offset when a batch starts past it", async () => {
+    const partition = partitionFor(2, "rewound");
+    await partition.produce(6);
+    const sink = createRollupSink();
+    await sink.deliver(partition.batch([1, 2]));
+
+    await expect(sink.deliver(partition.batch([5, 6]))).rejects.toThrow(
+      `Rollups for analytics:2 continue at offset 3, rewound ${ROLLUP_GROUP}`
+    );
+    expect(await committedOffset(2)).toBe(2);
+    expect(await partition.countedEvents()).toBe(2);
+
+    await sink.deliver(partition.batch([3, 4, 5, 6]));
+    expect(await partition.countedEvents()).toBe(6);
+  });
+});
+
+describe("rebuildRollups", () => {
+  it("should not apply a batch that was in flight when the rollups were cleared", async () => {
+    const partition = partitionFor(0, "rebuilt");
+    await partition.produce(3);
+    const sink = createRollupSink();
+    await sink.deliver(partition.batch([1]));
+
+    // The rebuild lands after the sink read its applied offset, before it writes
+    const write = db.batch.bind(db);
+    vi.spyOn(db, "batch").mockImplementationOnce(async (statements, mode) => {
+      await rebuildRollups();
+      return write(statements, mode);
+    });
+    await expect(sink.deliver(partition.batch([2, 3]))).rejects.toThrow("were rebuilt");
+    expect(await partition.countedEvents()).toBe(0);
+
+    // Redelivered, the batch no longer lines up with the cleared offsets and rewinds
+    await expect(sink.deliver(partition.batch([2, 3]))).rejects.toThrow("continue at offset 1");
+    await sink.deliver(partition.batch([1, 2, 3]));
+    expect(await partition.countedEvents()).toBe(3);
+  });
+});
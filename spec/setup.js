@@ -0,0 +1,12 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { afterAll } from "vitest";
+
+// config.js reads these when a spec first imports it, so every spec file gets its
+// own SQLite database and parquet directory
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "analytics-spec-"));
+process.env.DB_FILE = path.join(dir, "db.sqlite");
+process.env.PARQUET_DIR = path.join(dir, "parquet");
+
+afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
@@ -0,0 +1,87 @@
+import { describe, it, expect } from "vitest";
+import { createHash } from "crypto";
+import { db } from "../db/db.js";
+import { createApiKey, findApiKey, listApiKeys, revokeApiKey } from "../db/tenants.js";
+
+describe("createApiKey", () => {
+  it("should store only the SHA-256 hash of the key", async () => {
+    const { id, key } = await createApiKey("stored", { name: "desktop" });
+
+    const result = await db.execute({ sql: `SELECT * FROM api_keys WHERE id = ?`, args: [id] });
+
+    expect(key).toMatch(/^ak_[A-Za-z0-9_-]{43}$/);
+    expect(result.rows[0].key_hash).toBe(createHash("sha256").update(key).digest("hex"));
+    expect(Object.values(result.rows[0])).not.toContain(key);
+  });
+
+  it("should issue ingest keys unless another scope is asked for", async () => {
+    expect((await createApiKey("scoped")).scope).toBe("ingest");
+    expect((await createApiKey("scoped", { scope: "read" })).scope).toBe("read");
+  });
+
+  it("should reject unknown scopes and unsafe tenant ids", async () => {
+    await expect(createApiKey("acme", { scope: "admin" })).rejects.toThrow(
+      "Invalid scope admin: expected one of ingest, read"
+    );
+    await expect(createApiKey("../acme")).rejects.toThrow('Invalid tenant id "../acme"');
+  });
+});
+
+describe("findApiKey", () => {
+  it("should find a key by its plain value", async () => {
+    const { id, key } = await createApiKey("lookup", { name: "desktop", scope: "read" });
+
+    expect(await findApiKey(key)).toMatchObject({
+      id,
+      tenant: "lookup",
+      name: "desktop",
+      scope: "read",
+      revokedAt: null,
+    });
+  });
+
+  it("should not find unknown, empty or missing keys", async () => {
+    const { key } = await createApiKey("lookup");
+
+    expect(await findApiKey(`${key}x`)).toBeNull();
+    expect(await findApiKey("")).toBeNull();
+    expect(await findApiKey(null)).toBeNull();
+  });
+
+  it("should not find a revoked key", async () => {
+    const { id, key } = await createApiKey("revoked");
+
+    const revoked = await revokeApiKey(id);
+
+    expect(revoked.revokedAt).not.toBeNull();
+    expect(await findApiKey(key)).toBeNull();
+  });
+});
+
+describe("revokeApiKey", () => {
+  it("should refuse a key that is unknown or already revoked", async () => {
+    const { id } = await createApiKey("twice");
+    await revokeApiKey(id);
+
+    await expect(revokeApiKey(id)).rejects.toThrow(`Unknown or already revoked key: ${id}`);
+    await expect(revokeApiKey(999_999)).rejects.toThrow("Unknown or already revoked key");
+  });
+});
+
+describe("listApiKeys", () => {
+  it("should list a tenant's keys, revoked ones included, without their values", async () => {
+    const first = await createApiKey("listed", { name: "first" });
+    const second = await createApiKey("listed", { name: "second", scope: "read" });
+    await createApiKey("other");
+    await revokeApiKey(first.id);
+
+    const keys = await listApiKeys("listed");
+
+    expect(keys.map(({ id, name, scope }) => ({ id, name, scope }))).toEqual([
+      { id: first.id, name: "first", scope: "ingest" },
+      { id: second.id, name: "second", scope: "read" },
+    ]);
+    expect(keys[0].revokedAt).not.toBeNull();
+    expect(keys.some((apiKey) => "key" in apiKey)).toBe(false);
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect } from "vitest";
+import { validate } from "../schema/validator.js";
+import { toEventRecord, validateEvent } from "../schema/events.js";
+
+const PROTOTYPE_NAMES = ["constructor", "valueOf", "toString", "hasOwnProperty"];
+
+function customEvent(properties) {
+  return { event: "opened", deviceId: "d1", timestamp: "2026-10-19T10:00:00.000Z", properties };
+}
+
+describe("validate", () => {
+  it("should keep fields named after Object.prototype members", () => {
+    const { valid, value } = validateEvent(customEvent({ constructor: "x", valueOf: 3, ok: 1 }));
+
+    expect(valid).toBe(true);
+    expect(value.properties).toEqual({ constructor: "x", valueOf: 3, ok: 1 });
+  });
+
+  it.each(PROTOTYPE_NAMES)("should type-check a kept field named %s", (name) => {
+    const { valid, errors } = validateEvent(customEvent({ [name]: { nested: true } }));
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual([
+      { field: `properties.${name}`, message: "must be of type string, number or boolean" },
+    ]);
+  });
+
+  it("should reject a kept __proto__ field", () => {
+    const payload = JSON.parse(
+      '{"event":"opened","deviceId":"d1","properties":{"__proto__":"x","ok":1}}'
+    );
+
+    const { valid, errors } = validateEvent(payload);
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual([{ field: "properties.__proto__", message: "is not allowed" }]);
+  });
+
+  it("should strip unknown top-level fields named after Object.prototype members", () => {
+    const payload = JSON.parse(
+      '{"event":"opened","deviceId":"d1","constructor":"x","__proto__":{"admin":true}}'
+    );
+
+    const { valid, value } = validateEvent(payload);
+
+    expect(valid).toBe(true);
+    expect(Object.hasOwn(value, "constructor")).toBe(false);
+    expect(Object.hasOwn(value, "__proto__")).toBe(false);
+    expect(value.admin).toBeUndefined();
+  });
+
+  it("should reject fields named after Object.prototype members when unknown fields are rejected", () => {
+    const schema = { type: "object", unknownFields: "reject", properties: { id: { type: "string" } } };
+
+    const { errors } = validate(schema, JSON.parse('{"id":"a","toString":"x","__proto__":1}'));
+
+    expect(errors).toEqual([
+      { field: "toString", message: "is not allowed" },
+      { field: "__proto__", message: "is not allowed" },
+    ]);
+  });
+
+  it("should not take a required field from the prototype", () => {
+    const schema = {
+      type: "object",
+      required: ["toString"],
+      properties: { toString: { type: "string" } },
+    };
+
+    expect(validate(schema, {}).errors).toEqual([{ field: "toString", message: "is required" }]);
+    expect(validate(schema, { toString: "x" }).value).toEqual({ toString: "x" });
+  });
+
+  it("should not resolve an event type or version from the prototype", () => {
+    for (const payload of [
+      { type: "constructor", deviceId: "d1" },
+      { type: "custom", version: "constructor", event: "opened", deviceId: "d1" },
+      { type: "__proto__", deviceId: "d1" },
+    ]) {
+      const { valid, errors } = validateEvent(payload);
+      expect(valid).toBe(false);
+      expect(errors[0].field).toBe("type");
+    }
+  });
+});
+
+describe("toEventRecord", () => {
+  it("should move fields named after Object.prototype members into properties", () => {
+    const record = toEventRecord({
+      type: "device_ping",
+      version: 1,
+      deviceId: "d1",
+      platform: "macos",
+      constructor: "x",
+      valueOf: 2,
+    });
+
+    expect(record).toEqual({
+      event: "device_ping",
+      deviceId: "d1",
+      platform: "macos",
+      properties: { constructor: "x", valueOf: 2 },
+    });
+  });
+});
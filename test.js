@@ -3,6 +3,7 @@ import fetch from "node-fetch";
 import { randomUUID } from "crypto";
 
 const url = "http://localhost:8000/"; // your endpoint
+const API_KEY = process.env.API_KEY; // an ingest key, see POST /admin/tenants/:tenant/keys
 
 // Some sample values
 const deviceIds = [randomUUID(), randomUUID(), randomUUID()];
@@ -26,7 +27,7 @@ async function sendRequest() {
   try {
     await fetch(url, {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
+      headers: { "Content-Type": "application/json", "X-API-Key": API_KEY },
       body: JSON.stringify(payload),
     });
   } catch (err) {
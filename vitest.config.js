@@ -0,0 +1,9 @@
+import { defineConfig } from "vitest/config";
+
+export default defineConfig({
+  test: {
+    // klite has its own suite under klite/spec
+    include: ["spec/**/*.spec.js"],
+    setupFiles: ["spec/setup.js"],
+  },
+});